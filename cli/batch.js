@@ -0,0 +1,129 @@
+/**
+ * `batch` — every brief in a folder, a few at a time.
+ *
+ *   node index.js batch --concurrency 3
+ *
+ * Each client is named after its file ("sample-client.rtf" → "Sample
+ * Client"); when a client has the same brief in several formats the first
+ * non-empty one in BRIEF_EXTENSIONS order wins. A summary table of
+ * successes, failures and output paths prints at the end, and the exit code
+ * is non-zero if any brief failed. Each client's saved profile guidelines
+ * are used unless --guidelines overrides them for the whole batch.
+ *
+ * Options:
+ *   --dir <folder>       where the briefs are (default: briefs)
+ *   --concurrency <n>    briefs in flight at once (default: 2)
+ *   plus --guidelines, --out, --steps, --channels, --locales, --format,
+ *   --export, --fix, --budget and --no-cache as for `run` (the budget
+ *   applies to each brief)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { PIPELINE } from '../steps/index.js';
+import { selectSteps } from '../lib/pipeline.js';
+import { selectExports } from '../lib/exporters/index.js';
+import { DEFAULT_CHANNELS, selectChannels } from '../steps/channels.js';
+import { selectLocales } from '../steps/locales.js';
+import { BRIEF_EXTENSIONS, findBrief, loadBrief } from '../lib/brief-loader.js';
+import { selectOutputFormat } from '../lib/output.js';
+import { banner, clientNameFromFile, runBrief, parseBudget } from './shared.js';
+import { RUN_OPTIONS } from './run.js';
+
+const DEFAULT_CONCURRENCY = 2;
+
+export async function batchCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: { ...RUN_OPTIONS, dir: { type: 'string', default: 'briefs' }, concurrency: { type: 'string' } }
+  });
+
+  const concurrency = Number(values.concurrency || DEFAULT_CONCURRENCY);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of at least 1.');
+  }
+
+  const only = values.steps ? selectSteps(PIPELINE, values.steps) : undefined;
+  const channels = values.channels ? selectChannels(values.channels) : DEFAULT_CHANNELS;
+  const locales = values.locales ? selectLocales(values.locales) : [];
+  const exports = values.export ? selectExports(values.export, channels) : [];
+  const format = values.format ? selectOutputFormat(values.format) : undefined;
+  const budget = values.budget !== undefined ? parseBudget(values.budget) : undefined;
+  const brandGuidelines = values.guidelines ? await loadBrief(values.guidelines) : undefined;
+
+  const slugs = [...new Set(
+    fs.readdirSync(values.dir)
+      .filter(file => BRIEF_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => path.basename(file, path.extname(file)))
+  )].sort();
+
+  banner();
+  console.log(`Batch: ${slugs.length} brief${slugs.length === 1 ? '' : 's'} in ${values.dir}/, ${concurrency} at a time\n`);
+
+  const results = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < slugs.length) {
+      const slug = slugs[next++];
+      results.push(await runOne(slug));
+    }
+  }
+
+  async function runOne(slug) {
+    const clientName = clientNameFromFile(slug);
+    const started = Date.now();
+    const briefPath = findBrief(values.dir, slug);
+
+    try {
+      if (!briefPath) throw new Error('Brief file is empty.');
+
+      const brief = await loadBrief(briefPath);
+      const { outputPath } = await runBrief({ clientName, brief, brandGuidelines }, {
+        only,
+        channels,
+        locales,
+        out: values.out,
+        format,
+        exports,
+        fix: values.fix,
+        budget,
+        cache: !values['no-cache'],
+        hooks: {
+          onStepStart: (step, number) => console.log(`  [${clientName}] Step ${number}: ${step.activity}`)
+        }
+      });
+
+      console.log(`  [${clientName}] ✓ Saved ${outputPath}`);
+      return { clientName, ok: true, detail: outputPath, seconds: (Date.now() - started) / 1000 };
+    } catch (err) {
+      console.error(`  [${clientName}] ✗ ${err.message}`);
+      return { clientName, ok: false, detail: err.message, seconds: (Date.now() - started) / 1000 };
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, slugs.length) }, worker));
+
+  printSummary(results.sort((a, b) => a.clientName.localeCompare(b.clientName)));
+
+  if (results.some(result => !result.ok)) process.exitCode = 1;
+}
+
+function printSummary(results) {
+  const rows = results.map(({ clientName, ok, detail, seconds }) =>
+    [clientName, ok ? '✓ done' : '✗ failed', `${seconds.toFixed(1)}s`, detail.split('\n')[0]]);
+  const header = ['Client', 'Status', 'Time', 'Output / Error'];
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const line = (cells) => cells.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  const succeeded = results.filter(result => result.ok).length;
+
+  console.log('\n========================================');
+  console.log(`  Batch complete: ${succeeded} succeeded, ${results.length - succeeded} failed`);
+  console.log('========================================\n');
+  console.log(line(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  for (const row of rows) console.log(line(row));
+  console.log('');
+}
@@ -0,0 +1,65 @@
+/**
+ * `cache` — see and clear the step cache (lib/step-cache.js).
+ *
+ *   node index.js cache                      every cached step result, newest first
+ *   node index.js cache clear                delete them all
+ *   node index.js cache clear --steps 1-2    just the analysis and pain points
+ *
+ * Options:
+ *   --steps <range>   only these steps, e.g. 1-2, 3 or analysis,copy — as for `run`
+ */
+
+import { parseArgs } from 'util';
+import { PIPELINE } from '../steps/index.js';
+import { selectSteps } from '../lib/pipeline.js';
+import { listCached, clearCache, cacheDir } from '../lib/step-cache.js';
+import { formatCost } from '../lib/usage.js';
+
+const ACTIONS = ['list', 'clear'];
+
+export async function cacheCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      steps: { type: 'string' }
+    }
+  });
+
+  const action = positionals[0] || 'list';
+  if (!ACTIONS.includes(action) || positionals.length > 1) {
+    throw new Error(`Unknown cache action "${positionals.join(' ')}". Available: ${ACTIONS.join(', ')}.`);
+  }
+  const steps = values.steps ? selectSteps(PIPELINE, values.steps) : undefined;
+
+  if (action === 'clear') {
+    const cleared = clearCache({ steps });
+    console.log(`Cleared ${cleared} cached step result${cleared === 1 ? '' : 's'} from ${cacheDir()}/.`);
+    return;
+  }
+
+  const entries = listCached({ steps });
+  if (entries.length === 0) {
+    console.log(`No cached step results in ${cacheDir()}/${steps ? ' for those steps' : ''}.`);
+    return;
+  }
+
+  const rows = entries.map(({ key, step, models, createdAt, usage }) => [
+    key.slice(0, 12),
+    (PIPELINE.find(s => s.id === step) || { label: step }).label,
+    models.join(', '),
+    createdAt.replace('T', ' ').slice(0, 16),
+    formatCost(usage.cost)
+  ]);
+  const header = ['Key', 'Step', 'Model', 'Created (UTC)', 'Cost to make'];
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const line = row => row.map((text, col) => text.padEnd(widths[col])).join('  ').trimEnd();
+
+  console.log(line(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  for (const row of rows) console.log(line(row));
+
+  const bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+  const cost = entries.reduce((total, entry) => total + entry.usage.cost, 0);
+  console.log(`\n${entries.length} cached step result${entries.length === 1 ? '' : 's'} in ${cacheDir()}/ (${(bytes / 1024).toFixed(1)} KB), ${formatCost(cost)} to make. Clear with \`node index.js cache clear\`.`);
+}
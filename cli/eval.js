@@ -0,0 +1,188 @@
+/**
+ * `eval` — run the golden briefs and check for regressions.
+ *
+ *   node index.js eval --judge                       score against evals/baseline.json
+ *   node index.js eval --judge --save-baseline       ...and make these results the baseline
+ *
+ * Every brief in the golden folder goes through the whole pipeline with
+ * the current prompts (built-in, plus any agency overrides) and the step
+ * models, and is scored by the checks in lib/evals.js — and by the LLM
+ * judge with --judge. The results are compared with the saved baseline and
+ * a regression report is written to the reports folder (markdown, with the
+ * raw results as JSON beside it). The exit code is non-zero if anything
+ * regressed, unless --save-baseline.
+ *
+ * With --record every model call is saved to the fixtures folder as it's
+ * made; with --replay the run is served from those fixtures instead, so the
+ * recorded results and their report reproduce offline at no cost. A
+ * changed prompt or model makes new requests, which need recording.
+ * No fixtures or baseline are checked in — a baseline is only a regression
+ * bar when it was recorded from the real API. (The test suite's golden
+ * fixtures are scripted, not recorded: see test/support/scripted-provider.js.)
+ *
+ * Options:
+ *   --dir <folder>          golden briefs (default: evals/briefs)
+ *   --baseline <file>       results to compare with (default: evals/baseline.json)
+ *   --save-baseline         save these results as the baseline
+ *   --judge                 also have a model grade each campaign
+ *   --judge-model <model>   model the judge uses (default: JUDGE_MODEL)
+ *   --tolerance <n>         score drop that counts as a regression (default: 0.05)
+ *   --reports <folder>      where reports go (default: evals/reports)
+ *   --record, --replay      save model calls to, or serve them from, the fixtures
+ *   --fixtures <folder>     fixtures for --record and --replay (default: evals/fixtures)
+ *   --channels <list>       channels to write copy for, as for `run`
+ *   --concurrency <n>       briefs in flight at once (default: 2)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { PIPELINE } from '../steps/index.js';
+import { runPipeline } from '../lib/pipeline.js';
+import { resolvePrompts, promptVersions } from '../lib/prompts.js';
+import { modelSettings } from '../lib/models.js';
+import { meterUsage, formatCost } from '../lib/usage.js';
+import { getProvider, setProvider } from '../lib/providers/index.js';
+import { createAnthropicProvider } from '../lib/providers/anthropic.js';
+import { createRecordingProvider, createReplayProvider } from '../lib/providers/fixtures.js';
+import { BRIEF_EXTENSIONS, findBrief, loadBrief } from '../lib/brief-loader.js';
+import { DEFAULT_CHANNELS, selectChannels } from '../steps/channels.js';
+import { JUDGE_MODEL, DEFAULT_TOLERANCE, runChecks, judgeRun, caseScore, compareResults, renderReport } from '../lib/evals.js';
+import { banner, clientNameFromFile } from './shared.js';
+
+const DEFAULT_CONCURRENCY = 2;
+
+export async function evalCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      dir: { type: 'string', default: 'evals/briefs' },
+      baseline: { type: 'string', default: 'evals/baseline.json' },
+      'save-baseline': { type: 'boolean' },
+      judge: { type: 'boolean' },
+      'judge-model': { type: 'string', default: JUDGE_MODEL },
+      tolerance: { type: 'string' },
+      reports: { type: 'string', default: 'evals/reports' },
+      record: { type: 'boolean' },
+      replay: { type: 'boolean' },
+      fixtures: { type: 'string', default: 'evals/fixtures' },
+      channels: { type: 'string' },
+      concurrency: { type: 'string' }
+    }
+  });
+
+  const concurrency = Number(values.concurrency || DEFAULT_CONCURRENCY);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of at least 1.');
+  }
+  const tolerance = values.tolerance !== undefined ? Number(values.tolerance) : DEFAULT_TOLERANCE;
+  if (!(tolerance >= 0 && tolerance <= 1)) {
+    throw new Error('--tolerance must be a score difference between 0 and 1, e.g. 0.05.');
+  }
+  if (values.record && values.replay) {
+    throw new Error('Pick one of --record and --replay.');
+  }
+  if (values.record) setProvider(createRecordingProvider(createAnthropicProvider(), values.fixtures));
+  if (values.replay) setProvider(createReplayProvider(values.fixtures));
+
+  const channels = values.channels ? selectChannels(values.channels) : DEFAULT_CHANNELS;
+  const judgeModel = values.judge ? values['judge-model'] : null;
+  const prompts = resolvePrompts();
+  const baseline = fs.existsSync(values.baseline) ? JSON.parse(fs.readFileSync(values.baseline, 'utf-8')) : null;
+
+  const slugs = [...new Set(
+    fs.readdirSync(values.dir)
+      .filter(file => BRIEF_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => path.basename(file, path.extname(file)))
+  )].sort();
+  if (slugs.length === 0) {
+    throw new Error(`No golden briefs in ${values.dir}/ — add a brief file (${BRIEF_EXTENSIONS.join(', ')}) for each case.`);
+  }
+
+  banner();
+  console.log(`Eval: ${slugs.length} golden brief${slugs.length === 1 ? '' : 's'} in ${values.dir}/ via ${getProvider().name}${judgeModel ? `, judged by ${judgeModel}` : ''}`);
+  console.log(baseline ? `Baseline: ${values.baseline} (${baseline.createdAt.slice(0, 10)})\n` : `No baseline at ${values.baseline} yet — rerun with --save-baseline to make one.\n`);
+
+  const cases = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < slugs.length) {
+      const slug = slugs[next++];
+      cases.push(await evalOne(slug));
+    }
+  }
+
+  async function evalOne(slug) {
+    const started = Date.now();
+    const briefPath = findBrief(values.dir, slug);
+    const result = { brief: slug, clientName: clientNameFromFile(slug) };
+
+    try {
+      if (!briefPath) throw new Error('Brief file is empty.');
+      const brief = await loadBrief(briefPath);
+
+      const { result: scored, usage } = await meterUsage(async () => {
+        const { context } = await runPipeline(PIPELINE, { brief, channels, prompts }, {
+          onStepStart: (step, number) => console.log(`  [${slug}] Step ${number}: ${step.activity}`)
+        });
+        const checks = runChecks(context);
+        const judge = judgeModel ? await judgeRun(PIPELINE, context, { model: judgeModel }) : null;
+        return { checks, judge };
+      });
+
+      Object.assign(result, { score: caseScore(scored.checks, scored.judge), ...scored, usage, error: null });
+      console.log(`  [${slug}] ✓ Score ${result.score.toFixed(2)}`);
+    } catch (err) {
+      Object.assign(result, { score: 0, checks: [], judge: null, usage: null, error: err.message });
+      console.error(`  [${slug}] ✗ ${err.message}`);
+    }
+
+    result.seconds = (Date.now() - started) / 1000;
+    return result;
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, slugs.length) }, worker));
+
+  const results = {
+    createdAt: new Date().toISOString(),
+    provider: getProvider().name,
+    judge: judgeModel || false,
+    prompts: promptVersions(prompts),
+    models: Object.fromEntries(PIPELINE.map(step => [step.id, modelSettings(step).model])),
+    cases: cases.sort((a, b) => a.brief.localeCompare(b.brief))
+  };
+  const comparison = compareResults(results, baseline, { tolerance });
+
+  const stamp = results.createdAt.slice(0, 19).replace(/:/g, '-');
+  const reportPath = path.join(values.reports, `${stamp}.md`);
+  fs.mkdirSync(values.reports, { recursive: true });
+  fs.writeFileSync(reportPath, renderReport(results, comparison, { baseline, baselinePath: values.baseline }), 'utf-8');
+  fs.writeFileSync(path.join(values.reports, `${stamp}.json`), JSON.stringify(results, null, 2) + '\n', 'utf-8');
+
+  printSummary(comparison, results);
+  console.log(`  Report: ${reportPath}`);
+
+  if (values['save-baseline']) {
+    fs.mkdirSync(path.dirname(values.baseline), { recursive: true });
+    fs.writeFileSync(values.baseline, JSON.stringify(results, null, 2) + '\n', 'utf-8');
+    console.log(`  Baseline saved: ${values.baseline}`);
+  } else if (comparison.regressions > 0) {
+    process.exitCode = 1;
+  }
+  console.log('');
+}
+
+function printSummary(comparison, results) {
+  const cost = results.cases.reduce((total, c) => total + (c.usage ? c.usage.cost : 0), 0);
+
+  console.log('\n========================================');
+  console.log(`  Eval complete: ${comparison.regressions} regression${comparison.regressions === 1 ? '' : 's'}, ${formatCost(cost)}`);
+  console.log('========================================\n');
+  for (const { brief, before, after, regressions } of comparison.cases) {
+    const scores = `${before && !before.error ? `${before.score.toFixed(2)} → ` : ''}${after.error ? 'error' : after.score.toFixed(2)}`;
+    console.log(`  ${regressions.length ? '⚠' : '✓'} ${brief}: ${scores}`);
+    for (const regression of regressions) console.log(`      ${regression}`);
+  }
+  console.log('');
+}
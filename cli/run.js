@@ -0,0 +1,146 @@
+/**
+ * `run` — one brief through the pipeline.
+ *
+ *   node index.js run --client "Acme Corp"            brief from briefs/acme-corp.*
+ *   node index.js run --brief path/to/brief.docx      client name from the file name
+ *
+ * Options:
+ *   --client <name>      client name (prompted for when neither it nor --brief is given)
+ *   --brief <file>       brief file (.txt, .md, .rtf, .docx, .pdf)
+ *   --guidelines <file>  brand guidelines file, any brief format — saved as the
+ *                        client's next profile version (default: the client's
+ *                        saved profile, if any)
+ *   --out <dir>          output folder (default: output)
+ *   --steps <range>      only run these steps, e.g. 1-2, 3 or analysis,copy
+ *   --channels <list>    channels to write copy for: social, search, video,
+ *                        linkedin, email, display, tiktok, sms — or all
+ *                        (default: social,search,video)
+ *   --locales <list>     also transcreate the copy for these markets, e.g.
+ *                        es-ES,fr-FR,de-DE (see steps/locales.js; default: none)
+ *   --format <md|json>   saved document format (default: md)
+ *   --export <list>      also write ad platform exports next to the output:
+ *                        google-ads, meta, video-scripts, json — or all
+ *                        (those that apply to the channels); each locale
+ *                        gets its own copy of the ad platform ones
+ *   --fix                rewrite copy that fails the brand compliance check
+ *                        (and rerun strategy and the check) before saving
+ *   --budget <usd>       stop before a step that could push this run's cost
+ *                        past this many dollars (a client budget saved on the
+ *                        profile applies too)
+ *   --no-cache           call the model for every step, even one whose result
+ *                        is cached from an identical earlier run (see `cache`)
+ */
+
+import { parseArgs } from 'util';
+import { PIPELINE } from '../steps/index.js';
+import { selectSteps } from '../lib/pipeline.js';
+import { selectExports } from '../lib/exporters/index.js';
+import { DEFAULT_CHANNELS, selectChannels } from '../steps/channels.js';
+import { selectLocales } from '../steps/locales.js';
+import { toSlug, selectOutputFormat } from '../lib/output.js';
+import { BRIEF_EXTENSIONS, findBrief, loadBrief } from '../lib/brief-loader.js';
+import { formatCost } from '../lib/usage.js';
+import { prompt, log, banner, clientNameFromFile, runBrief, parseBudget } from './shared.js';
+
+export const RUN_OPTIONS = {
+  guidelines: { type: 'string' },
+  out: { type: 'string' },
+  steps: { type: 'string' },
+  channels: { type: 'string' },
+  locales: { type: 'string' },
+  format: { type: 'string' },
+  export: { type: 'string' },
+  fix: { type: 'boolean' },
+  budget: { type: 'string' },
+  'no-cache': { type: 'boolean' }
+};
+
+export async function runCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: { ...RUN_OPTIONS, client: { type: 'string' }, brief: { type: 'string' } }
+  });
+
+  banner();
+
+  let clientName = values.client || (values.brief && clientNameFromFile(values.brief));
+  if (!clientName) clientName = await prompt('Client name: ');
+  if (!clientName) {
+    throw new Error('No client name provided.');
+  }
+
+  const slug = toSlug(clientName);
+  const briefPath = values.brief || findBrief('briefs', slug);
+
+  if (!briefPath) {
+    throw new Error(`Brief not found for "${slug}" in briefs/. Drop a file named "${slug}" with one of ${BRIEF_EXTENSIONS.join(', ')} into the briefs/ folder, or pass --brief <file>.`);
+  }
+
+  const brief = await loadBrief(briefPath);
+  console.log(`\nBrief loaded: ${briefPath} (${brief.length} chars)`);
+
+  let brandGuidelines;
+  if (values.guidelines) {
+    brandGuidelines = await loadBrief(values.guidelines);
+    console.log(`Guidelines loaded: ${values.guidelines} (${brandGuidelines.length} chars)`);
+  }
+
+  const only = values.steps ? selectSteps(PIPELINE, values.steps) : undefined;
+  const channels = values.channels ? selectChannels(values.channels) : DEFAULT_CHANNELS;
+  const locales = values.locales ? selectLocales(values.locales) : [];
+  const exports = values.export ? selectExports(values.export, channels) : [];
+  const format = values.format ? selectOutputFormat(values.format) : undefined;
+  const budget = values.budget !== undefined ? parseBudget(values.budget) : undefined;
+
+  console.log('\nStarting pipeline...');
+
+  let attempt = 0;
+  const { run, outputPath, exportPaths } = await runBrief({ clientName, brief, brandGuidelines }, {
+    only,
+    channels,
+    locales,
+    out: values.out,
+    format,
+    exports,
+    fix: values.fix,
+    budget,
+    cache: !values['no-cache'],
+    hooks: {
+      onStepStart: (step, number) => {
+        log(`STEP ${number}`, step.activity);
+        attempt = 0;
+      },
+      onStepDelta: (step, number, delta, deltaAttempt) => {
+        // Stream the model's output as it's written; a re-prompt starts a fresh line
+        if (deltaAttempt !== attempt) {
+          attempt = deltaAttempt;
+          process.stdout.write('\n');
+        }
+        process.stdout.write(`\x1b[2m${delta}\x1b[0m`);
+      },
+      onStepDone: (step, number, output, context, usage, cached) => log(`STEP ${number}`, cached
+        ? `Reused from the cache (made by ${cached.models.join(', ')} on ${cached.createdAt.slice(0, 10)}), saving ${formatCost(cached.usage.cost)}`
+        : `Done by ${usage.models.join(', ')}. ${usage.inputTokens + usage.outputTokens} tokens, ${formatCost(usage.cost)}`)
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`  Output saved: ${outputPath} (version ${run.version}, run ${run.id})`);
+  console.log(`  Cost: ${formatCost(run.usage.cost)} (${run.usage.inputTokens} input + ${run.usage.outputTokens} output tokens)`);
+  if (run.guidelinesVersion) console.log(`  Brand guidelines: v${run.guidelinesVersion} from the ${clientName} profile`);
+
+  const overridden = Object.entries(run.inputs.prompts).filter(([, { source }]) => source !== 'built-in');
+  if (overridden.length > 0) {
+    console.log(`  Prompt overrides: ${overridden.map(([name, { version, source }]) => `${name} v${version} (${source})`).join(', ')}`);
+  }
+
+  const compliance = run.steps.compliance && run.steps.compliance.output;
+  if (compliance) {
+    const failing = compliance.variations.filter(entry => !entry.passed).length;
+    console.log(compliance.passed
+      ? '  Compliance: ✓ all copy passes'
+      : `  Compliance: ⚠ ${failing} variation${failing === 1 ? '' : 's'}${compliance.strategy.passed ? '' : ' and the strategy'} need attention — see the report${values.fix ? '' : ', or rerun with --fix'}`);
+  }
+  for (const exportPath of exportPaths) console.log(`  Export saved: ${exportPath}`);
+  console.log('========================================\n');
+}
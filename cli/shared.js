@@ -0,0 +1,111 @@
+/**
+ * Helpers shared by the CLI commands.
+ */
+
+import readline from 'readline';
+import path from 'path';
+import { PIPELINE } from '../steps/index.js';
+import { runPipeline, combineHooks } from '../lib/pipeline.js';
+import { saveOutput } from '../lib/output.js';
+import { saveExports } from '../lib/exporters/index.js';
+import { createRun, saveRun, recordingHooks, budgetFor, runUsage } from '../lib/run-store.js';
+import { fixViolations } from '../lib/compliance.js';
+import { resolveGuidelines } from '../lib/profile-store.js';
+import { resolvePrompts } from '../lib/prompts.js';
+import { DEFAULT_CHANNELS } from '../steps/channels.js';
+
+export function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+export function log(step, message) {
+  console.log(`\n[${step}] ${message}`);
+}
+
+export function banner() {
+  console.log('\n========================================');
+  console.log('  Mad Hat Maven Orchestration Engine');
+  console.log('========================================\n');
+}
+
+/**
+ * "sample-client.rtf" → "Sample Client"
+ */
+export function clientNameFromFile(file) {
+  return path.basename(file, path.extname(file))
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * A --budget value in US dollars, e.g. "0.50" or "$2".
+ */
+export function parseBudget(value) {
+  const budget = Number(String(value).replace(/^\$/, ''));
+  if (!(budget > 0)) {
+    throw new Error(`--budget must be a dollar amount above zero, got "${value}".`);
+  }
+  return budget;
+}
+
+/**
+ * Run one brief through the pipeline, recording it in the run store as a
+ * new version, and save the result. Guidelines come from the client's
+ * profile unless passed in, in which case they become its next version.
+ * Prompt templates are the built-in ones unless overridden for the agency
+ * or client (lib/prompts.js).
+ * Returns { run, outputPath, exportPaths }.
+ *
+ * Options:
+ *   only          — Set of step ids to run (from selectSteps)
+ *   channels      — channel ids to write copy for (from selectChannels;
+ *                   default: DEFAULT_CHANNELS)
+ *   locales       — locale codes to transcreate the copy for (from
+ *                   selectLocales; default: none)
+ *   out, format   — passed to saveOutput
+ *   exports       — export formats to write alongside (from selectExports)
+ *   fix           — auto-fix copy that fails the compliance check
+ *   budget        — US dollar cap for this run; the client's profile budget,
+ *                   if any, applies as well
+ *   cache         — reuse cached step results (lib/step-cache.js; default: true)
+ *   hooks         — runner progress hooks
+ */
+export async function runBrief({ clientName, brief, brandGuidelines: given }, { only, channels = DEFAULT_CHANNELS, locales = [], out, format, exports = [], fix = false, budget, cache = true, hooks = {} } = {}) {
+  const { brandGuidelines, brandRules, guidelinesVersion } = resolveGuidelines(clientName, { guidelines: given });
+  const prompts = resolvePrompts(clientName);
+  const run = createRun({ clientName, brief, brandGuidelines, brandRules, channels, locales, prompts, guidelinesVersion, budget, cache });
+
+  try {
+    const runHooks = combineHooks(recordingHooks(run), hooks);
+    const spending = budgetFor(run);
+    const { context } = await runPipeline(PIPELINE, { brief, brandGuidelines, brandRules, channels, locales, prompts }, { ...runHooks, only, cache, budget: spending });
+
+    if (fix && context.compliance && !context.compliance.passed) {
+      await fixViolations(PIPELINE, context, { ...runHooks, budget: spending });
+    }
+
+    const meta = { version: run.version, guidelinesVersion, usage: runUsage(run) };
+
+    const outputPath = saveOutput(PIPELINE, clientName, context, { dir: out, format, ...meta });
+    const exportPaths = saveExports(exports, clientName, context, { dir: out, ...meta });
+
+    run.status = 'done';
+    run.outputPath = outputPath;
+    saveRun(run);
+
+    return { run, outputPath, exportPaths };
+  } catch (err) {
+    run.status = 'error';
+    run.error = err.message;
+    saveRun(run);
+    throw err;
+  }
+}
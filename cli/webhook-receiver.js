@@ -0,0 +1,80 @@
+/**
+ * `webhook-receiver` — a local endpoint to point job webhooks at.
+ *
+ *   node index.js webhook-receiver --port 4001 --fail 2
+ *   curl -X POST localhost:3000/api/jobs -H 'Content-Type: application/json' \
+ *     -d '{"clientName": "Acme", "brief": "...", "webhookUrl": "http://localhost:4001/hook"}'
+ *
+ * Checks each delivery's signature (lib/webhooks.js) and prints what came
+ * in. Deliveries with a bad signature get a 401. Runs until Ctrl+C.
+ *
+ * Options:
+ *   --port <n>       port to listen on (default: 4001)
+ *   --secret <s>     secret to check signatures with (default: WEBHOOK_SECRET)
+ *   --fail <n>       answer the first n deliveries with a 500, to watch the
+ *                    sender retry (default: 0)
+ */
+
+import http from 'http';
+import { parseArgs } from 'util';
+import { SIGNATURE_HEADER, verifySignature, webhookSecret } from '../lib/webhooks.js';
+
+const DEFAULT_PORT = 4001;
+
+export async function webhookReceiverCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      port: { type: 'string' },
+      secret: { type: 'string' },
+      fail: { type: 'string' }
+    }
+  });
+
+  const port = Number(values.port || DEFAULT_PORT);
+  const secret = values.secret || webhookSecret();
+  let failures = Number(values.fail || 0);
+  if (!secret) {
+    throw new Error('Pass --secret or set WEBHOOK_SECRET to check signatures with.');
+  }
+  if (!Number.isInteger(failures) || failures < 0) {
+    throw new Error('--fail must be a whole number of deliveries.');
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const at = new Date().toLocaleTimeString();
+
+      if (!verifySignature(body, req.headers[SIGNATURE_HEADER.toLowerCase()], secret)) {
+        console.log(`[${at}] ${req.method} ${req.url} — bad signature, rejected`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (failures > 0) {
+        failures--;
+        console.log(`[${at}] ${req.method} ${req.url} — signature ok, failing on purpose (${failures} more to fail)`);
+        res.writeHead(500).end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (_) {
+        payload = body;
+      }
+      console.log(`[${at}] ${req.method} ${req.url} — signature ok`);
+      console.log(JSON.stringify(payload, null, 2));
+      res.writeHead(204).end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Listening for webhooks on http://localhost:${port}/ (Ctrl+C to stop)`);
+}
@@ -0,0 +1,210 @@
+/**
+ * Brief Loader
+ *
+ * Turns a client brief file into clean plain text, whatever format the
+ * client sent it in. Everything runs locally — no external services.
+ *
+ *   .txt  — read as-is
+ *   .md   — markdown syntax stripped, structure kept as plain lines
+ *   .rtf  — control words and formatting groups stripped
+ *   .docx — raw text via mammoth
+ *   .pdf  — text layer via unpdf (scanned PDFs without one come back empty)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import mammoth from 'mammoth';
+import { extractText } from 'unpdf';
+
+export const BRIEF_EXTENSIONS = ['.txt', '.md', '.rtf', '.docx', '.pdf'];
+
+/**
+ * Extract clean text from a brief's raw bytes. The filename only decides
+ * the format.
+ */
+export async function extractBriefText(buffer, filename) {
+  const ext = path.extname(filename).toLowerCase();
+
+  switch (ext) {
+    case '.txt':
+      return cleanText(buffer.toString('utf-8'));
+    case '.md':
+      return cleanText(stripMarkdown(buffer.toString('utf-8')));
+    case '.rtf':
+      return cleanText(stripRtf(buffer.toString('latin1')));
+    case '.docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return cleanText(value);
+    }
+    case '.pdf': {
+      const { text } = await extractText(new Uint8Array(buffer), { mergePages: true });
+      return cleanText(text);
+    }
+    default:
+      throw new Error(`Unsupported brief format "${ext || filename}". Use one of: ${BRIEF_EXTENSIONS.join(', ')}.`);
+  }
+}
+
+export async function loadBrief(filePath) {
+  return extractBriefText(fs.readFileSync(filePath), filePath);
+}
+
+/**
+ * Find the brief for a client slug in a folder — the first non-empty
+ * <slug>.<ext> in BRIEF_EXTENSIONS order, or null.
+ */
+export function findBrief(dir, slug) {
+  for (const ext of BRIEF_EXTENSIONS) {
+    const candidate = path.join(dir, `${slug}${ext}`);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).size > 0) return candidate;
+  }
+  return null;
+}
+
+function cleanText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function stripMarkdown(md) {
+  return md
+    .replace(/^```.*$/gm, '')                      // code fence markers
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // images → alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')       // links → link text
+    .replace(/^#{1,6}\s+/gm, '')                   // heading markers
+    .replace(/^>\s?/gm, '')                        // blockquotes
+    .replace(/^(\s*)[*+]\s+/gm, '$1- ')            // normalize bullets
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')            // bold
+    .replace(/(^|[^*\w])[*_]([^*_\n]+)[*_]/g, '$1$2') // italic
+    .replace(/`([^`]+)`/g, '$1')                   // inline code
+    .replace(/<[^>]+>/g, '');                      // inline HTML
+}
+
+// Destinations whose content is never body text
+const RTF_SKIP_GROUPS = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable', 'themedata', 'datastore', 'latentstyles']);
+
+/**
+ * Walk the RTF token stream keeping only body text. Handles groups,
+ * ignorable destinations (\*), hex (\'hh) and unicode (\uN) escapes.
+ * Hex escapes are bytes in the document's code page (\ansicpgN, Windows-1252
+ * when it doesn't say) — runs of them are decoded together, since East Asian
+ * code pages spend two bytes on a character.
+ */
+function stripRtf(rtf) {
+  let out = '';
+  let decoder = codePageDecoder(1252);
+  let bytes = [];
+  const emit = (text) => {
+    if (bytes.length) out += decoder.decode(Uint8Array.from(bytes));
+    bytes = [];
+    out += text;
+  };
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;   // chars to skip after a \uN escape (its ANSI fallback)
+  let pendingSkip = 0;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push({ skip, ucSkip });
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i++;
+      continue;
+    }
+    if (ch === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) emit(next);
+        i += 2;
+        continue;
+      }
+      if (next === '*') {
+        skip = true;
+        i += 2;
+        continue;
+      }
+      if (next === "'") {
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skip) bytes.push(parseInt(rtf.substr(i + 2, 2), 16));
+        i += 4;
+        continue;
+      }
+      if (next === '\n' || next === '\r') {
+        if (!skip) emit('\n');
+        i += 2;
+        continue;
+      }
+
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i += 2;
+        continue;
+      }
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (RTF_SKIP_GROUPS.has(word)) skip = true;
+      else if (skip) continue;
+      else if (word === 'par' || word === 'line') emit('\n');
+      else if (word === 'tab') emit('\t');
+      else if (word === 'ansicpg') decoder = codePageDecoder(Number(param));
+      else if (word === 'uc') ucSkip = Number(param);
+      else if (word === 'u') {
+        const code = Number(param);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = ucSkip;
+      } else if (word === 'emdash') emit('—');
+      else if (word === 'endash') emit('–');
+      else if (word === 'lquote' || word === 'rquote') emit(word === 'lquote' ? '‘' : '’');
+      else if (word === 'ldblquote' || word === 'rdblquote') emit(word === 'ldblquote' ? '“' : '”');
+      continue;
+    }
+    if (ch === '\n' || ch === '\r') {
+      i++;
+      continue;
+    }
+
+    if (pendingSkip > 0) pendingSkip--;
+    else if (!skip) emit(ch);
+    i++;
+  }
+
+  emit('');
+  return out;
+}
+
+// TextDecoder names for the code pages RTF writers declare with \ansicpgN
+const CODE_PAGES = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh', 65001: 'utf-8' };
+
+// Windows-1252's 0x80–0x9F (curly quotes, dashes, €...). Node's TextDecoder
+// treats windows-1252 as latin1, which makes these invisible control characters.
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+// Code page 437's upper half (the original IBM PC set, still what DOS-era
+// RTF writers mean by \ansicpg437) — TextDecoder doesn't know it
+const CP437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+function codePageDecoder(codePage) {
+  if (codePage === 1252) {
+    return { decode: bytes => Array.from(bytes, b => b >= 0x80 && b < 0xA0 ? WINDOWS_1252_C1[b - 0x80] : String.fromCharCode(b)).join('') };
+  }
+  if (codePage === 437) {
+    return { decode: bytes => Array.from(bytes, b => b >= 0x80 ? CP437_HIGH[b - 0x80] : String.fromCharCode(b)).join('') };
+  }
+  try {
+    return new TextDecoder(CODE_PAGES[codePage] || `windows-${codePage}`);
+  } catch (_) {
+    return codePageDecoder(1252);
+  }
+}
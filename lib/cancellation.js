@@ -0,0 +1,70 @@
+/**
+ * Cancellation
+ *
+ * A run can be called off while it's working — the browser that started it
+ * went away, or someone asked to cancel it. The caller holds an
+ * AbortController and hands its signal to the runner, which makes it the
+ * current signal for everything the steps do. Like the usage meters in
+ * lib/usage.js it follows the work through async calls, so callClaude
+ * picks it up and aborts the request in flight without every step having
+ * to pass it along.
+ *
+ * Abort with a reason made by cancelled() so the error that surfaces reads
+ * well; isCancelled tells a cancellation apart from a failure.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const signals = new AsyncLocalStorage();
+
+/**
+ * Run fn with signal as the current signal. Without a signal, whatever
+ * signal is already current stays so.
+ */
+export function withSignal(signal, fn) {
+  return signal ? signals.run(signal, fn) : fn();
+}
+
+/**
+ * The signal of the work in progress, or undefined outside a cancellable run.
+ */
+export function currentSignal() {
+  return signals.getStore();
+}
+
+/**
+ * Throw the cancellation if the current work has been cancelled.
+ */
+export function throwIfCancelled(signal = currentSignal()) {
+  if (signal) signal.throwIfAborted();
+}
+
+/**
+ * The error to abort with: cancelled('Cancelled by the user.').
+ */
+export function cancelled(message) {
+  return Object.assign(new Error(message), { cancelled: true });
+}
+
+export function isCancelled(err) {
+  return !!(err && err.cancelled);
+}
+
+/**
+ * Wait ms milliseconds, or less if the current work is cancelled meanwhile.
+ */
+export function sleep(ms, signal = currentSignal()) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * Brand Compliance Rules
+ *
+ * The deterministic half of the compliance check (steps/step5-compliance.js):
+ * rules saved on a client's profile, applied to each piece of copy without a
+ * model call. A rule set looks like:
+ *
+ *   {
+ *     bannedWords: ['cheap', 'guarantee'],   // whole words or phrases, any case
+ *     requiredPhrases: ['Acme®'],            // every variation must contain each
+ *     maxReadingGrade: 8,                    // Flesch-Kincaid grade ceiling
+ *     maxExclamations: 1,                    // per variation
+ *     maxEmoji: 0                            // per variation
+ *   }
+ *
+ * Every field is optional; a missing rule isn't checked. Also here: the
+ * auto-fix pass that rewrites failing variations and re-checks them.
+ */
+
+import { regenerateStep, runPipeline, dependentSteps } from './pipeline.js';
+
+export const RULES_SCHEMA = {
+  type: 'object',
+  properties: {
+    bannedWords: { type: 'array', items: { type: 'string', minLength: 1 } },
+    requiredPhrases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    maxReadingGrade: { type: 'number', minimum: 0 },
+    maxExclamations: { type: 'integer', minimum: 0 },
+    maxEmoji: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+
+/**
+ * Whether a rule set has anything to check — an empty list is no rule.
+ */
+export function hasRules(rules) {
+  return !!rules && Object.values(rules).some(value => Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null);
+}
+
+/**
+ * Check one piece of copy against a rule set. Returns a list of
+ * { rule, detail } violations — empty when the copy passes.
+ *
+ * Options:
+ *   only — rule names to apply (default: all of them)
+ */
+export function checkRules(text, rules = {}, { only } = {}) {
+  const applies = (rule) => rules[rule] !== undefined && (!only || only.includes(rule));
+  const violations = [];
+
+  if (applies('bannedWords')) {
+    for (const word of rules.bannedWords) {
+      if (new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)) {
+        violations.push({ rule: 'banned-word', detail: `Uses banned word "${word}"` });
+      }
+    }
+  }
+
+  if (applies('requiredPhrases')) {
+    for (const phrase of rules.requiredPhrases) {
+      if (!text.toLowerCase().includes(phrase.toLowerCase())) {
+        violations.push({ rule: 'required-phrase', detail: `Missing required phrase "${phrase}"` });
+      }
+    }
+  }
+
+  if (applies('maxReadingGrade')) {
+    const grade = readingGrade(text);
+    if (grade > rules.maxReadingGrade) {
+      violations.push({ rule: 'reading-grade', detail: `Reads at grade ${grade} (max ${rules.maxReadingGrade})` });
+    }
+  }
+
+  if (applies('maxExclamations')) {
+    const count = (text.match(/!/g) || []).length;
+    if (count > rules.maxExclamations) {
+      violations.push({ rule: 'exclamations', detail: `${count} exclamation mark${count === 1 ? '' : 's'} (max ${rules.maxExclamations})` });
+    }
+  }
+
+  if (applies('maxEmoji')) {
+    const count = (text.match(EMOJI) || []).length;
+    if (count > rules.maxEmoji) {
+      violations.push({ rule: 'emoji', detail: `${count} emoji (max ${rules.maxEmoji})` });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Flesch-Kincaid grade level, to one decimal place.
+ */
+export function readingGrade(text) {
+  const words = text.match(/[A-Za-z'’]+/g) || [];
+  if (words.length === 0) return 0;
+
+  const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+
+  return Math.max(0, Math.round(grade * 10) / 10);
+}
+
+/**
+ * Rewrite every variation the compliance report failed, and the strategy
+ * if it failed, each steered by its violations, then rerun everything else
+ * built on them (the compliance check itself among it) so the report
+ * reflects the fixes. Takes the runner's budget, signal and progress hooks.
+ * Returns how many variations were rewritten, counting the strategy as one.
+ */
+export async function fixViolations(steps, context, options = {}) {
+  const failing = context.compliance.variations.filter(entry => !entry.passed);
+  const strategy = context.compliance.strategy;
+
+  for (const { painPointId, variant, index, violations } of failing) {
+    await regenerateStep(steps, 'copy', context, {
+      ...options,
+      variant: { painPointId, variant, index },
+      note: `This copy failed the client's brand compliance check. Fix every problem below and keep the angle:\n${violationList(violations)}`
+    });
+  }
+  if (!strategy.passed) {
+    await regenerateStep(steps, 'strategy', context, {
+      ...options,
+      note: `This strategy failed the client's brand compliance check. Fix every problem below and keep the plan:\n${violationList(strategy.violations)}`
+    });
+  }
+
+  const downstream = [
+    ...(failing.length > 0 ? dependentSteps(steps, 'copy') : []),
+    ...(!strategy.passed ? dependentSteps(steps, 'strategy') : [])
+  ].filter((id, i, ids) => ids.indexOf(id) === i && !(id === 'strategy' && !strategy.passed));
+  if (downstream.length > 0) {
+    for (const id of downstream) delete context[id];
+    await runPipeline(steps, context, { ...options, only: new Set(downstream) });
+  }
+
+  return failing.length + (strategy.passed ? 0 : 1);
+}
+
+function violationList(violations) {
+  return violations.map(v => `- ${v.detail}`).join('\n');
+}
+
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
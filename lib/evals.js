@@ -0,0 +1,274 @@
+/**
+ * Evaluations
+ *
+ * Scores a finished run so a change to the prompts or the models can be
+ * measured against the last known-good results instead of eyeballed. Two
+ * kinds of scoring:
+ *
+ *   checks — deterministic, from the output alone (CHECKS below); each
+ *            passes or fails
+ *   judge  — optional; a model grades the campaign 1–5 on each of
+ *            JUDGE_CRITERIA, using the rubric in prompts/judge.md
+ *
+ * A case's score is the share of checks passed — averaged with the judge's
+ * (its mean over 5) when there is one — from 0 to 1.
+ *
+ * compareResults lines a set of results up against a saved baseline and
+ * flags regressions: a brief that now fails to run, a check that used to
+ * pass and now fails, or a score that dropped by more than the tolerance.
+ * renderReport turns that into the markdown regression report.
+ */
+
+import { callClaudeJSON } from '../steps/claude-client.js';
+import { renderStep } from './pipeline.js';
+import { renderPrompt } from './prompts.js';
+import { formatCost } from './usage.js';
+import { CHANNELS, channelsFor, channelItems, limitViolations, itemLabel } from '../steps/channels.js';
+import { personasOf, personaFor, personaName } from '../steps/personas.js';
+import { painPointBounds } from '../steps/step1-analyze.js';
+
+export const JUDGE_MODEL = 'claude-sonnet-4-20250514';
+export const DEFAULT_TOLERANCE = 0.05;
+
+/**
+ * Deterministic checks. Each returns the problems it found in a finished
+ * run's context — none means it passed.
+ */
+export const CHECKS = [
+  {
+    id: 'pain-point-count',
+    label: 'Pain points per persona as the analysis prompt asks',
+    check: ({ analysis, painPoints }) => {
+      const personas = personasOf(analysis);
+      const { min, max } = painPointBounds(personas.length);
+      const owners = painPoints.painPoints.map(p => ({ painPoint: p, persona: personaFor({ analysis, painPoints }, p.id) }));
+
+      return [
+        ...owners
+          .filter(({ persona }) => !persona)
+          .map(({ painPoint }) => `Pain point ${painPoint.id} belongs to no persona`),
+        ...personas
+          .map(persona => ({ persona, count: owners.filter(owner => owner.persona && owner.persona.id === persona.id).length }))
+          .filter(({ count }) => count < min || count > max)
+          .map(({ persona, count }) => `${personaName(persona) || 'The audience'} has ${count}, expected ${min}–${max}`)
+      ];
+    }
+  },
+  {
+    id: 'copy-coverage',
+    label: 'Copy for every channel on every pain point',
+    check: ({ painPoints, copy, channels }) => painPoints.painPoints.flatMap(({ id }) => {
+      const variation = copy.variations.find(v => v.painPointId === id);
+      if (!variation) return [`Pain point ${id} has no copy`];
+      return channelsFor({ channels })
+        .filter(channel => channelItems(variation, channel).length < CHANNELS[channel].count)
+        .map(channel => `Pain point ${id} has ${channelItems(variation, channel).length} of ${CHANNELS[channel].count} ${CHANNELS[channel].copyLabel}`);
+    })
+  },
+  {
+    id: 'length-limits',
+    label: 'Length limits met (search headlines and descriptions included)',
+    check: ({ copy, channels }) => copy.variations.flatMap(variation => channelsFor({ channels }).flatMap(channel => {
+      const items = channelItems(variation, channel);
+      return items.flatMap((item, index) => limitViolations(channel, item).map(({ field, length, limit }) =>
+        `Pain point ${variation.painPointId} ${itemLabel(channel, index, items.length)}${field ? ` ${field}` : ''}: ${length}/${limit}`));
+    }))
+  },
+  {
+    id: 'strategy-sections',
+    label: 'Every strategy section present',
+    check: ({ strategy, analysis, channels }) => {
+      const problems = ['positioning', 'toneGuidance']
+        .filter(section => !(strategy[section] || '').trim())
+        .map(section => `No ${section}`);
+      const ranked = strategy.channelPriority.map(entry => entry.channel);
+      const unranked = channelsFor({ channels }).filter(channel => !ranked.includes(CHANNELS[channel].label));
+      if (unranked.length) problems.push(`channelPriority leaves out ${unranked.map(channel => CHANNELS[channel].label).join(', ')}`);
+      if (personasOf(analysis).length > 1 && !strategy.personaPlan) problems.push('No personaPlan for a multi-persona campaign');
+      return problems;
+    }
+  }
+];
+
+export const JUDGE_CRITERIA = {
+  insight: 'The pain points are specific to this brief and audience, not generic to the category.',
+  voice: 'The pain points sound like something a real customer would say.',
+  copy: 'The copy is sharp, suits each channel, and would make the audience stop.',
+  strategy: 'The strategy follows from the analysis and the copy, and makes clear choices it can defend.',
+  fidelity: "Nothing contradicts the brief or promises what the brief can't back up."
+};
+
+/**
+ * Run every check against a finished run's context:
+ * [{ id, label, passed, problems }].
+ */
+export function runChecks(context) {
+  return CHECKS.map(({ id, label, check }) => {
+    const problems = check(context);
+    return { id, label, passed: problems.length === 0, problems };
+  });
+}
+
+/**
+ * Have a model grade a finished run against the rubric. Resolves to
+ * { scores: [{ criterion, score, reason }], summary, score } where score is
+ * the mean over 5, from 0 to 1.
+ */
+export async function judgeRun(steps, context, { model = JUDGE_MODEL } = {}) {
+  const campaign = steps
+    .filter(step => context[step.id] !== undefined && step.id !== 'compliance')
+    .map(step => `## ${step.label}\n\n${renderStep(step, context)}`)
+    .join('\n\n');
+  const rubric = Object.entries(JUDGE_CRITERIA).map(([criterion, description]) => `- ${criterion}: ${description}`).join('\n');
+
+  const verdict = await callClaudeJSON({
+    model,
+    max_tokens: 1500,
+    system: renderPrompt(context.prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(context.prompts, 'judge', { rubric, brief: context.brief, campaign }) }],
+    schema: {
+      type: 'object',
+      properties: {
+        scores: {
+          type: 'array',
+          minItems: Object.keys(JUDGE_CRITERIA).length,
+          maxItems: Object.keys(JUDGE_CRITERIA).length,
+          items: {
+            type: 'object',
+            properties: {
+              criterion: { type: 'string', enum: Object.keys(JUDGE_CRITERIA) },
+              score: { type: 'integer', minimum: 1, maximum: 5 },
+              reason: { type: 'string', minLength: 1 }
+            },
+            required: ['criterion', 'score', 'reason'],
+            additionalProperties: false
+          }
+        },
+        summary: { type: 'string', minLength: 1 }
+      },
+      required: ['scores', 'summary'],
+      additionalProperties: false
+    }
+  });
+
+  const mean = verdict.scores.reduce((total, { score }) => total + score, 0) / verdict.scores.length;
+  return { ...verdict, score: round(mean / 5) };
+}
+
+/**
+ * One case's overall score from its checks and (optional) judge verdict.
+ */
+export function caseScore(checks, judge) {
+  const checkScore = checks.filter(check => check.passed).length / checks.length;
+  return round(judge ? (checkScore + judge.score) / 2 : checkScore);
+}
+
+/**
+ * Compare results (as written by the eval command) with a baseline of the
+ * same shape. Returns { cases: [{ brief, before, after, regressions,
+ * improvements }], regressions } — before is null for a brief the
+ * baseline doesn't have, and regressions the total across cases.
+ */
+export function compareResults(results, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const cases = results.cases.map((after) => {
+    const before = baseline ? baseline.cases.find(c => c.brief === after.brief) || null : null;
+    const regressions = [];
+    const improvements = [];
+
+    if (after.error) {
+      regressions.push(`Failed to run: ${after.error}`);
+    } else if (before && before.error) {
+      improvements.push('Runs again (failed in the baseline)');
+    }
+
+    if (before && !before.error && !after.error) {
+      for (const check of after.checks) {
+        const was = before.checks.find(c => c.id === check.id);
+        if (!was) continue;
+        if (was.passed && !check.passed) regressions.push(`${check.label}: now fails — ${check.problems.join('; ')}`);
+        if (!was.passed && check.passed) improvements.push(`${check.label}: now passes`);
+      }
+
+      const delta = round(after.score - before.score);
+      if (delta < -tolerance) regressions.push(`Score fell ${before.score.toFixed(2)} → ${after.score.toFixed(2)}`);
+      if (delta > tolerance) improvements.push(`Score rose ${before.score.toFixed(2)} → ${after.score.toFixed(2)}`);
+    }
+
+    return { brief: after.brief, before, after, regressions, improvements };
+  });
+
+  return { cases, regressions: cases.reduce((total, c) => total + c.regressions.length, 0) };
+}
+
+/**
+ * The regression report: what ran, what changed since the baseline, a
+ * summary table, then each brief's checks, judge scores and verdict.
+ */
+export function renderReport(results, comparison, { baseline, baselinePath } = {}) {
+  const summaryRows = comparison.cases.map(({ brief, before, after, regressions, improvements }) => {
+    const status = regressions.length ? `⚠ ${regressions.length} regression${regressions.length === 1 ? '' : 's'}`
+      : improvements.length ? '▲ improved'
+        : before ? '✓ unchanged' : 'new';
+    return `| ${brief} | ${before && !before.error ? before.score.toFixed(2) : '—'} | ${after.error ? 'error' : after.score.toFixed(2)} | ${status} |`;
+  });
+
+  const sections = comparison.cases.map(({ brief, after, regressions, improvements }) => {
+    const lines = [`## ${brief}`];
+    if (after.error) {
+      lines.push(`**Failed to run:** ${after.error}`);
+    } else {
+      lines.push(`Score **${after.score.toFixed(2)}** · ${formatCost(after.usage.cost)} · ${after.seconds.toFixed(1)}s`);
+      lines.push(`| Check | Result | Problems |\n|---|---|---|\n${after.checks
+        .map(check => `| ${check.label} | ${check.passed ? '✓' : '✗'} | ${cell(check.problems.join('; '))} |`).join('\n')}`);
+      if (after.judge) {
+        lines.push(`| Criterion | Score | Reason |\n|---|---|---|\n${after.judge.scores
+          .map(({ criterion, score, reason }) => `| ${criterion} | ${score}/5 | ${cell(reason)} |`).join('\n')}`);
+        lines.push(`> ${after.judge.summary}`);
+      }
+    }
+    if (regressions.length) lines.push(`**Regressions**\n\n${regressions.map(r => `- ${r}`).join('\n')}`);
+    if (improvements.length) lines.push(`**Improvements**\n\n${improvements.map(i => `- ${i}`).join('\n')}`);
+    return lines.join('\n\n');
+  });
+
+  return `# Eval Report — ${results.createdAt.replace('T', ' ').slice(0, 16)} UTC
+
+**Provider:** ${results.provider} · **Judge:** ${results.judge ? results.judge : 'off'} · **Baseline:** ${baseline ? `${baselinePath} (${baseline.createdAt.slice(0, 10)})` : 'none'}
+**Prompts:** ${Object.entries(results.prompts).map(([name, { version }]) => `${name} v${version}`).join(', ')}
+**Models:** ${Object.entries(results.models).map(([step, model]) => `${step} ${model}`).join(', ')}
+${baseline ? renderChanges(results, baseline) : ''}
+| Brief | Baseline | Now | |
+|---|---|---|---|
+${summaryRows.join('\n')}
+
+**${comparison.regressions} regression${comparison.regressions === 1 ? '' : 's'}** across ${results.cases.length} brief${results.cases.length === 1 ? '' : 's'}.
+
+---
+
+${sections.join('\n\n---\n\n')}
+`;
+}
+
+// Which prompt versions and models differ from the baseline's — usually
+// the reason the scores moved
+function renderChanges(results, baseline) {
+  const changed = (now, was) => Object.keys({ ...was, ...now })
+    .filter(key => JSON.stringify(now[key]) !== JSON.stringify(was[key]));
+
+  const prompts = changed(results.prompts, baseline.prompts)
+    .map(name => `${name} ${baseline.prompts[name] ? `v${baseline.prompts[name].version}` : '(none)'} → ${results.prompts[name] ? `v${results.prompts[name].version}` : '(none)'}`);
+  const models = changed(results.models, baseline.models)
+    .map(step => `${step} ${baseline.models[step] || '(none)'} → ${results.models[step] || '(none)'}`);
+
+  if (!prompts.length && !models.length) return '**Changed since baseline:** nothing\n';
+  return `**Changed since baseline:** ${[...prompts, ...models].join(', ')}\n`;
+}
+
+// Text that's safe inside a markdown table cell
+function cell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
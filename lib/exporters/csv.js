@@ -0,0 +1,15 @@
+/**
+ * Minimal RFC 4180 CSV writer — quotes every field that needs it, and puts
+ * a ' before one starting with =, +, - or @ so a spreadsheet opening the
+ * file shows it as text rather than running it as a formula.
+ */
+
+export function toCSV(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeField(value) {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,294 @@
+/**
+ * Ad Platform Exporters
+ *
+ * Turn a finished run's copy into files media buyers can upload instead of
+ * retyping. Each exporter takes (clientName, context, meta) — meta being
+ * the run's { version, guidelinesVersion, usage, reviews } — and returns
+ * the file contents:
+ *
+ *   google-ads    — one responsive search ad (Google Ads Editor CSV) per
+ *                   persona, with its in-limit search headlines and
+ *                   descriptions pooled. Google rejects an RSA with fewer
+ *                   than 3 headlines or 2 descriptions, so personas short
+ *                   of that share one ad; if even that falls short their
+ *                   copy is left out (and said so)
+ *   meta          — Meta Ads Manager bulk-upload CSV, one ad per social
+ *                   version, in an ad set per persona
+ *   video-scripts — script sheet with each video opener next to its pain point
+ *   json          — the full run as structured data
+ *
+ * An exporter built on one channel's copy names it as `channel`, and is only
+ * available for runs that generated that channel. Destination URLs, budgets
+ * and targeting are left blank for the buyer.
+ *
+ * Locales: a run transcreated for other markets (Step 6) gets each
+ * channel's export once per locale as well, built from that locale's copy,
+ * with the locale in the campaign name and the file name. The JSON export
+ * already holds every locale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderJSON, todayStamp, toSlug } from '../output.js';
+import { PIPELINE } from '../../steps/index.js';
+import { CHANNELS, channelsFor, channelItems, limitViolations } from '../../steps/channels.js';
+import { runPersonas, personaFor, personaName } from '../../steps/personas.js';
+import { transcreatedLocales, localeContext } from '../../steps/step6-transcreate.js';
+import { toCSV } from './csv.js';
+
+// Google's RSA limits: 3–15 headlines, 2–4 descriptions per ad
+const RSA_MIN_HEADLINES = 3;
+const RSA_MAX_HEADLINES = 15;
+const RSA_MIN_DESCRIPTIONS = 2;
+const RSA_MAX_DESCRIPTIONS = 4;
+
+/**
+ * An export this run's copy can't make — as opposed to a bug. saveExports
+ * skips these and saves the rest.
+ */
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+export const EXPORTERS = {
+  'google-ads': {
+    label: 'Google Ads (RSA CSV)',
+    extension: 'csv',
+    contentType: 'text/csv',
+    channel: 'search',
+    build: googleAdsCSV
+  },
+  meta: {
+    label: 'Meta Bulk Upload (CSV)',
+    extension: 'csv',
+    contentType: 'text/csv',
+    channel: 'social',
+    build: metaCSV
+  },
+  'video-scripts': {
+    label: 'Video Script Sheet (CSV)',
+    extension: 'csv',
+    contentType: 'text/csv',
+    channel: 'video',
+    build: videoScriptCSV
+  },
+  json: {
+    label: 'Full Run (JSON)',
+    extension: 'json',
+    contentType: 'application/json',
+    build: (clientName, context, meta) => renderJSON(PIPELINE, clientName, context, meta)
+  }
+};
+
+/**
+ * <date>-<slug>[-v<version>]-<format>[-<locale>].<ext>
+ */
+export function exportFilename(clientName, format, version, locale) {
+  const suffix = version ? `-v${version}` : '';
+  return `${todayStamp()}-${toSlug(clientName)}${suffix}-${format}${locale ? `-${locale}` : ''}.${EXPORTERS[format].extension}`;
+}
+
+/**
+ * The export formats that apply to a run generating these channels.
+ */
+export function availableExports(channels) {
+  return Object.keys(EXPORTERS).filter(format => !EXPORTERS[format].channel || channels.includes(EXPORTERS[format].channel));
+}
+
+/**
+ * Every export a finished run has — [{ format, locale }], locale being null
+ * for the English copy — out of these formats: each one as is, then the
+ * channel exports again for each locale the copy was transcreated for.
+ */
+export function exportsFor(formats, context) {
+  return [
+    ...formats.map(format => ({ format, locale: null })),
+    ...transcreatedLocales(context).flatMap(locale => formats
+      .filter(format => EXPORTERS[format].channel)
+      .map(format => ({ format, locale })))
+  ];
+}
+
+/**
+ * Build one export. Everything except the JSON export needs the copy step,
+ * with copy for the exporter's channel. With a locale it's built from that
+ * locale's transcreated copy.
+ */
+export function buildExport(format, clientName, context, meta = {}, locale = null) {
+  if (!Object.hasOwn(EXPORTERS, format)) {
+    throw new Error(`Unknown export "${format}" — expected one of ${Object.keys(EXPORTERS).join(', ')}.`);
+  }
+  const exporter = EXPORTERS[format];
+  if (format !== 'json' && !context.copy) {
+    throw new ExportError(`The ${exporter.label} export needs ad copy — run the copy step first.`);
+  }
+  if (exporter.channel && !channelsFor(context).includes(exporter.channel)) {
+    throw new ExportError(`The ${exporter.label} export needs ${CHANNELS[exporter.channel].label} copy, and this run didn't generate any.`);
+  }
+  if (locale) {
+    if (!exporter.channel) {
+      throw new ExportError(`The ${exporter.label} export covers every locale already.`);
+    }
+    return exporter.build(`${clientName} (${locale})`, localeContext(context, locale), meta);
+  }
+
+  return exporter.build(clientName, context, meta);
+}
+
+/**
+ * Parse an export list like "google-ads,meta" or "all" for a run generating
+ * these channels — "all" being every export that applies to them.
+ */
+export function selectExports(spec, channels) {
+  const available = availableExports(channels);
+  if (spec === 'all') return available;
+
+  const formats = spec.split(',').map(f => f.trim()).filter(Boolean);
+  for (const format of formats) {
+    if (!Object.hasOwn(EXPORTERS, format)) {
+      throw new Error(`Unknown export "${format}" — expected all or any of ${Object.keys(EXPORTERS).join(', ')}.`);
+    }
+    if (!available.includes(format)) {
+      throw new Error(`The ${format} export needs ${CHANNELS[EXPORTERS[format].channel].label} copy — add ${EXPORTERS[format].channel} to the channels.`);
+    }
+  }
+  return formats;
+}
+
+/**
+ * Write each export into dir — and each locale's, see exportsFor — and
+ * return the paths. An export that can't be built from this run's copy is
+ * skipped with the reason, rather than losing the run's other files.
+ */
+export function saveExports(formats, clientName, context, { dir = 'output', ...meta } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return exportsFor(formats, context).flatMap(({ format, locale }) => {
+    let body;
+    try {
+      body = buildExport(format, clientName, context, meta, locale);
+    } catch (err) {
+      if (!(err instanceof ExportError)) throw err; // a bug, not an export this copy can't make
+      console.log(`  ⚠ Skipped the ${EXPORTERS[format].label} export${locale ? ` (${locale})` : ''}: ${err.message}`);
+      return [];
+    }
+    const filePath = path.join(dir, exportFilename(clientName, format, meta.version, locale));
+    fs.writeFileSync(filePath, body, 'utf-8');
+    return [filePath];
+  });
+}
+
+function googleAdsCSV(clientName, context) {
+  const header = [
+    'Campaign', 'Ad group', 'Ad type',
+    ...Array.from({ length: RSA_MAX_HEADLINES }, (_, i) => `Headline ${i + 1}`),
+    ...Array.from({ length: RSA_MAX_DESCRIPTIONS }, (_, i) => `Description ${i + 1}`),
+    'Final URL', 'Path 1', 'Path 2'
+  ];
+  const ads = personaGroups(context).map(({ persona, variations }) => {
+    const usable = variations
+      .flatMap(variation => channelItems(variation, 'search'))
+      .filter(search => limitViolations('search', search).length === 0);
+    return {
+      name: persona ? personaName(persona) : 'Pain Points',
+      headlines: [...new Set(usable.map(search => search.headline))],
+      descriptions: [...new Set(usable.map(search => search.description))]
+    };
+  });
+
+  const enough = ad => ad.headlines.length >= RSA_MIN_HEADLINES && ad.descriptions.length >= RSA_MIN_DESCRIPTIONS;
+  const thin = ads.filter(ad => !enough(ad));
+  const pooled = thin.length > 1 && {
+    name: thin.map(ad => ad.name).join(' + '),
+    headlines: [...new Set(thin.flatMap(ad => ad.headlines))],
+    descriptions: [...new Set(thin.flatMap(ad => ad.descriptions))]
+  };
+  const uploadable = [...ads.filter(enough), ...(pooled && enough(pooled) ? [pooled] : [])];
+  const left = pooled && enough(pooled) ? [] : thin;
+
+  const counts = ({ headlines, descriptions }) => `${headlines.length} headline${headlines.length === 1 ? '' : 's'} and ${descriptions.length} description${descriptions.length === 1 ? '' : 's'}`;
+  if (uploadable.length === 0) {
+    throw new ExportError(`A responsive search ad needs at least ${RSA_MIN_HEADLINES} headlines and ${RSA_MIN_DESCRIPTIONS} descriptions within limits, and this run's search copy only has ${counts({
+      headlines: [...new Set(ads.flatMap(ad => ad.headlines))],
+      descriptions: [...new Set(ads.flatMap(ad => ad.descriptions))]
+    })}.`);
+  }
+  for (const ad of left) {
+    console.log(`  ⚠ Google Ads export: left out ${ad.name} — ${counts(ad)} within limits, short of the ${RSA_MIN_HEADLINES} and ${RSA_MIN_DESCRIPTIONS} an ad needs.`);
+  }
+
+  const rows = uploadable.map(({ name, headlines, descriptions }) => [
+    clientName, `${clientName} — ${name}`, 'Responsive search ad',
+    ...pad(headlines.slice(0, RSA_MAX_HEADLINES), RSA_MAX_HEADLINES),
+    ...pad(descriptions.slice(0, RSA_MAX_DESCRIPTIONS), RSA_MAX_DESCRIPTIONS),
+    '', '', ''
+  ]);
+
+  return toCSV(header, rows);
+}
+
+function metaCSV(clientName, context) {
+  const header = ['Campaign Name', 'Ad Set Name', 'Ad Name', 'Body', 'Title', 'Link', 'Call to Action'];
+  const rows = personaGroups(context).flatMap(({ persona, variations }) => variations.flatMap((variation) => {
+    const items = channelItems(variation, 'social');
+    return items.map((social, index) => [
+      clientName,
+      `${clientName} — ${persona ? personaName(persona) : 'Social'}`,
+      `Pain Point ${variation.painPointId}${items.length > 1 ? ` (${index + 1})` : ''}`,
+      social,
+      '',
+      '',
+      'LEARN_MORE'
+    ]);
+  }));
+
+  return toCSV(header, rows);
+}
+
+function videoScriptCSV(clientName, context) {
+  const { copy, painPoints } = context;
+  const header = ['Client', 'Persona', 'Pain Point', 'Consumer Voice', 'Opener (first 5 seconds)', 'Notes'];
+  const rows = copy.variations.flatMap((variation) => {
+    const persona = context.analysis && personaFor(context, variation.painPointId);
+    return channelItems(variation, 'video').map(video => [
+      clientName,
+      persona && persona.name ? persona.name : '',
+      variation.painPointId,
+      statementFor(painPoints, variation.painPointId),
+      video,
+      ''
+    ]);
+  });
+
+  return toCSV(header, rows);
+}
+
+/**
+ * The copy split by persona — [{ persona, variations }] — or one group with
+ * no persona when the run has just one.
+ */
+function personaGroups(context) {
+  const { copy } = context;
+  const personas = context.analysis && context.painPoints ? runPersonas(context) : [];
+  if (personas.length < 2) return [{ persona: null, variations: copy.variations }];
+
+  return personas.map(persona => ({
+    persona,
+    variations: copy.variations.filter((variation) => {
+      const owner = personaFor(context, variation.painPointId);
+      return (owner ? owner.id : 1) === persona.id;
+    })
+  }));
+}
+
+function statementFor(painPoints, id) {
+  const painPoint = painPoints && painPoints.painPoints.find(p => p.id === id);
+  return painPoint ? painPoint.statement : '';
+}
+
+function pad(values, length) {
+  return [...values, ...Array(length - values.length).fill('')];
+}
@@ -0,0 +1,104 @@
+/**
+ * Model Settings
+ *
+ * Which model each step calls, with what max_tokens and temperature, and
+ * the models to fall back to, in order, when the API stays overloaded (see
+ * callClaude). A step's own definition is the default; MODELS_FILE
+ * (default: models.json, when there is one) and the environment override it:
+ *
+ *   {
+ *     "default": { "fallbacks": ["claude-3-5-haiku-20241022"] },
+ *     "steps": {
+ *       "painPoints": { "model": "claude-3-5-haiku-20241022", "max_tokens": 1200 },
+ *       "strategy":   { "model": "claude-opus-4-20250514", "temperature": 0.7 }
+ *     }
+ *   }
+ *
+ *   MODEL_<STEP>, MAX_TOKENS_<STEP>, TEMPERATURE_<STEP>   one step, its id
+ *                                                        upper-cased (MODEL_PAINPOINTS)
+ *   MODEL_FALLBACKS                                      comma-separated, every step
+ *
+ * The environment beats the file's entry for the step, which beats the
+ * file's default, which beats the step definition. Without a temperature
+ * the API's default applies.
+ */
+
+import fs from 'fs';
+import { validate } from './schema.js';
+
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    model: { type: 'string', minLength: 1 },
+    max_tokens: { type: 'integer', minimum: 1 },
+    temperature: { type: 'number', minimum: 0, maximum: 1 },
+    fallbacks: { type: 'array', items: { type: 'string', minLength: 1 } }
+  },
+  additionalProperties: false
+};
+
+const FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    default: SETTINGS_SCHEMA,
+    steps: { type: 'object', additionalProperties: SETTINGS_SCHEMA }
+  },
+  additionalProperties: false
+};
+
+let config = null;
+
+/**
+ * The model settings file's contents — {} when there isn't one.
+ */
+export function getModelConfig() {
+  if (!config) {
+    const file = process.env.MODELS_FILE || 'models.json';
+    if (!fs.existsSync(file)) {
+      if (process.env.MODELS_FILE) throw new Error(`MODELS_FILE ${file} doesn't exist.`);
+      config = {};
+    } else {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const problem = validate(FILE_SCHEMA, config);
+      if (problem) {
+        config = null;
+        throw new Error(`Invalid model settings in ${file}:\n${problem}`);
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * What a step calls: { model, max_tokens, temperature, fallbacks }.
+ */
+export function modelSettings(step) {
+  const { default: defaults = {}, steps = {} } = getModelConfig();
+  const env = fromEnv(step.id);
+
+  return {
+    model: step.model,
+    max_tokens: step.max_tokens,
+    temperature: undefined,
+    fallbacks: [],
+    ...defaults,
+    ...steps[step.id],
+    ...env
+  };
+}
+
+function fromEnv(id) {
+  const key = id.toUpperCase();
+  const settings = {};
+
+  if (process.env[`MODEL_${key}`]) settings.model = process.env[`MODEL_${key}`];
+  if (process.env[`MAX_TOKENS_${key}`]) settings.max_tokens = Number(process.env[`MAX_TOKENS_${key}`]);
+  if (process.env[`TEMPERATURE_${key}`]) settings.temperature = Number(process.env[`TEMPERATURE_${key}`]);
+  if (process.env.MODEL_FALLBACKS) settings.fallbacks = process.env.MODEL_FALLBACKS.split(',').map(m => m.trim()).filter(Boolean);
+
+  const problem = validate(SETTINGS_SCHEMA, settings);
+  if (problem) {
+    throw new Error(`Invalid model settings in the environment for step "${id}":\n${problem}`);
+  }
+  return settings;
+}
@@ -0,0 +1,98 @@
+/**
+ * Output helpers shared by the CLI and the server — file naming and the
+ * saved campaign document (markdown, or JSON for tooling).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderStep } from './pipeline.js';
+import { formatCost } from './usage.js';
+import { renderAuditTrail } from './review.js';
+
+export function toSlug(name) {
+  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+}
+
+export function todayStamp() {
+  return new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+}
+
+/**
+ * Assemble the campaign markdown: a header, then one section per step in
+ * pipeline order. The header names the run version and the version of the
+ * client's brand guidelines the copy was written against. With reviews
+ * (the run's audit trail) a record of each review gate follows the steps;
+ * with usage ({ steps, total } from the run store) a table of the models
+ * that produced each step (marked when it was reused from the step cache),
+ * and their tokens and cost, closes it.
+ */
+export function renderMarkdown(steps, clientName, context, { version, guidelinesVersion, usage, reviews } = {}) {
+  const sections = steps
+    .filter(step => context[step.id] !== undefined)
+    .map(step => `## ${step.label}\n\n${renderStep(step, context)}`);
+  if (reviews && reviews.length) sections.push(renderAuditTrail(steps, reviews));
+  if (usage) sections.push(renderUsage(steps, usage));
+
+  return `# Mad Hat Maven — Campaign Brief
+**Client:** ${clientName}
+**Date:** ${todayStamp()}${version ? `\n**Version:** ${version}` : ''}${guidelinesVersion ? `\n**Brand Guidelines:** v${guidelinesVersion}` : ''}
+
+---
+
+${sections.join('\n\n---\n\n')}
+`;
+}
+
+/**
+ * The same document as structured data: every completed step's output
+ * keyed by step id.
+ */
+export function renderJSON(steps, clientName, context, { version, guidelinesVersion, usage, reviews } = {}) {
+  const outputs = {};
+  for (const step of steps) {
+    if (context[step.id] !== undefined) outputs[step.id] = context[step.id];
+  }
+
+  return JSON.stringify({ client: clientName, date: todayStamp(), version, guidelinesVersion, usage, reviews, steps: outputs }, null, 2) + '\n';
+}
+
+function renderUsage(steps, { steps: byStep, total }) {
+  const row = (label, { models, cached, inputTokens, outputTokens, cost }) =>
+    `| ${label} | ${models && models.length ? models.join(', ') : '—'}${cached ? ' (cached)' : ''} | ${inputTokens.toLocaleString('en-US')} | ${outputTokens.toLocaleString('en-US')} | ${formatCost(cost)} |`;
+
+  return `## Usage & Cost
+
+| Step | Model | Input tokens | Output tokens | Cost |
+|---|---|---|---|---|
+${steps.filter(step => byStep[step.id]).map(step => row(step.label, byStep[step.id])).join('\n')}
+${row('**Run total** (including regenerations)', total)}`;
+}
+
+export const OUTPUT_FORMATS = { md: renderMarkdown, json: renderJSON };
+
+/**
+ * Check a saved document format like "md" or "json", and return it.
+ */
+export function selectOutputFormat(format) {
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    throw new Error(`Unknown output format "${format}" — expected ${Object.keys(OUTPUT_FORMATS).join(' or ')}.`);
+  }
+  return format;
+}
+
+/**
+ * Write the campaign document to <dir>/<date>-<slug>-v<version>.<format>
+ * and return the path. Defaults to markdown in output/. The version keeps a
+ * second run for the same client on the same day from overwriting the first.
+ */
+export function saveOutput(steps, clientName, context, { dir = 'output', format = 'md', ...meta } = {}) {
+  const render = OUTPUT_FORMATS[selectOutputFormat(format)];
+
+  const suffix = meta.version ? `-v${meta.version}` : '';
+  const outputPath = path.join(dir, `${todayStamp()}-${toSlug(clientName)}${suffix}.${format}`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(outputPath, render(steps, clientName, context, meta), 'utf-8');
+
+  return outputPath;
+}
@@ -0,0 +1,60 @@
+/**
+ * Best-effort parsing of a JSON object that is still being streamed.
+ *
+ * Closes whatever strings, arrays and objects are open at the end of the
+ * text. When that doesn't parse (the text stops mid-key, after a colon, on
+ * half a number...) it backs up to the last comma and tries again, so the
+ * result only ever drops the value currently being written.
+ */
+
+const CLOSERS = { '{': '}', '[': ']' };
+const MAX_BACKTRACK = 3;
+
+export function parsePartialJSON(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const stack = [];
+  const commas = []; // [{ index, closers }] — places we can cut back to
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(CLOSERS[ch]);
+    else if (ch === '}' || ch === ']') stack.pop();
+    else if (ch === ',') commas.push({ index: i, closers: stack.slice().reverse().join('') });
+
+    if (stack.length === 0) return tryParse(text.slice(start, i + 1));
+  }
+
+  // A dangling backslash would escape the quote we add — drop it
+  const body = escaped ? text.slice(start, -1) : text.slice(start);
+  const candidates = [body + (inString ? '"' : '') + stack.slice().reverse().join('')];
+  for (const { index, closers } of commas.slice(-MAX_BACKTRACK).reverse()) {
+    candidates.push(text.slice(start, index) + closers);
+  }
+
+  for (const candidate of candidates) {
+    const value = tryParse(candidate);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Pipeline Runner
+ *
+ * Executes an ordered list of step definitions (see steps/index.js) against
+ * a shared context object. The context starts with the raw inputs
+ * ({ brief, brandGuidelines, brandRules }) and each step's structured
+ * output is written back under its id, so later steps can consume it.
+ *
+ * Steps whose output is already on the context are skipped. That is how a
+ * paused run resumes: the caller passes the context back (with any human
+ * edits applied) and the runner picks up at the first missing step. So is
+ * a step whose `when` says the run doesn't have it.
+ *
+ * With the cache on, a step that has run before on the same inputs, model
+ * settings and prompt versions reuses that result (lib/step-cache.js).
+ */
+
+import { callClaudeJSON } from '../steps/claude-client.js';
+import { parsePartialJSON } from './partial-json.js';
+import { validate, fillDefaults } from './schema.js';
+import { EMPTY_USAGE, meterUsage, checkBudget } from './usage.js';
+import { withSignal, throwIfCancelled } from './cancellation.js';
+import { modelSettings } from './models.js';
+import { stepCacheKey, getCached, saveCached } from './step-cache.js';
+
+/**
+ * Run every step that hasn't produced output yet.
+ *
+ * Options:
+ *   reviewGates    — Set of step ids to stop after for review (lib/review.js);
+ *                    the run pauses after the first of them that runs
+ *   only           — Set of step ids to run; the rest are left alone
+ *   cache          — reuse a cached result for a step when there is one, and
+ *                    cache each step that runs (lib/step-cache.js)
+ *   budget         — spending cap from lib/usage.js; a step that could go over
+ *                    it is refused before it runs, and each step is charged to it
+ *   signal         — AbortSignal that cancels the run, including any model call
+ *                    in flight (see lib/cancellation.js); the run rejects with
+ *                    the signal's reason
+ *   onStepStart(step, number) / onStepDone(step, number, output, context, usage, cached) — progress
+ *     hooks; usage is the step's token usage and cost (see lib/usage.js), and
+ *     cached the cache entry the output came from, or null when the step ran
+ *   onStepFailed(step, number, usage, err) — a step threw after making model
+ *     calls; usage is what those calls cost, already charged to the budget
+ *   onStepDelta(step, number, delta, attempt) — streamed text while a step runs;
+ *     attempt changes when a schema re-prompt starts the text over
+ *
+ * Returns { context, pausedAt } where pausedAt is the id of the step the
+ * run stopped after for review, or null when every step has completed.
+ */
+export async function runPipeline(steps, context, options = {}) {
+  const { reviewGates, only, cache, budget, signal, onStepStart, onStepDone, onStepFailed, onStepDelta } = options;
+
+  for (const [index, step] of steps.entries()) {
+    if (context[step.id] !== undefined) continue;
+    if (only && !only.has(step.id)) continue;
+    if (step.when && !step.when(context)) continue;
+    throwIfCancelled(signal);
+
+    const number = index + 1;
+    if (onStepStart) onStepStart(step, number);
+
+    const key = cache ? stepCacheKey(step, stepInputs(steps, step, context)) : null;
+    const cached = key && getCached(key);
+    if (cached) {
+      context[step.id] = cached.output;
+      if (onStepDone) onStepDone(step, number, cached.output, context, EMPTY_USAGE, cached);
+    } else {
+      const { result, usage } = await meterStep(step, number, { budget, onStepFailed }, () => withSignal(signal, () => runStep(steps, step, context, {
+        budget,
+        onDelta: onStepDelta && ((delta, attempt) => onStepDelta(step, number, delta, attempt))
+      })));
+      context[step.id] = result;
+      if (key) saveCached(key, step, result, usage);
+      if (onStepDone) onStepDone(step, number, result, context, usage, null);
+    }
+
+    if (reviewGates && reviewGates.has(step.id)) {
+      return { context, pausedAt: step.id };
+    }
+  }
+
+  return { context, pausedAt: null };
+}
+
+/**
+ * Run a single step against the context. Every input that names another
+ * step must already be on the context — the raw inputs may be left empty.
+ * Pass onDelta to stream the model's text as it's written, note to steer a
+ * regeneration ("less snarky"), and budget to refuse the step if it could
+ * cost more than is left. The model, max_tokens, temperature and fallbacks
+ * come from the step's settings (lib/models.js).
+ *
+ * A step with `fanOut` runs once per part of its inputs (one per persona),
+ * with the parts' calls in parallel, and its output is the parts' merged.
+ * Only the first part streams — interleaved text from several calls
+ * couldn't be previewed.
+ */
+export async function runStep(steps, step, context, { onDelta, note, budget } = {}) {
+  const inputs = stepInputs(steps, step, context);
+  const parts = step.fanOut ? step.fanOut.parts(inputs) : [inputs];
+  const settings = modelSettings(step);
+  const requests = parts.map((part) => {
+    const prompt = step.buildPrompt(part);
+    return {
+      ...settings,
+      system: prompt.system,
+      messages: note ? withNote(prompt.messages, note) : prompt.messages
+    };
+  });
+
+  checkBudget(budget, step.label, requests);
+  const outputs = await Promise.all(parts.map(async (part, i) => {
+    const output = await callClaudeJSON({ ...requests[i], schema: stepSchema(step, part), onDelta: i === 0 ? onDelta : undefined });
+    return step.refine ? step.refine(output, part) : output;
+  }));
+
+  return step.fanOut ? step.fanOut.merge(outputs, inputs) : outputs[0];
+}
+
+/**
+ * The JSON schema a step's output must match. Most steps have a fixed one;
+ * a step whose shape depends on the run (the copy step's channels) defines
+ * schema as a function of its inputs — any object holding them will do,
+ * the context included.
+ */
+export function stepSchema(step, inputs) {
+  return typeof step.schema === 'function' ? step.schema(inputs) : step.schema;
+}
+
+/**
+ * Redo one step that has already run — the whole output, or just one
+ * variant of it when the step defines `variants` — optionally steered by a
+ * note. The new output replaces the old on the context and is returned.
+ * Takes the same budget, signal and progress hooks as runPipeline; the
+ * budget is checked up front only for whole-step regeneration.
+ */
+export async function regenerateStep(steps, id, context, options = {}) {
+  const { variant, note, budget, signal, onStepStart, onStepDone, onStepFailed, onStepDelta } = options;
+  const index = steps.findIndex(step => step.id === id);
+  const step = steps[index];
+  const number = index + 1;
+
+  if (context[id] === undefined) {
+    throw new Error(`Step "${id}" hasn't run yet — there's nothing to regenerate.`);
+  }
+  if (variant && !step.variants) {
+    throw new Error(`${step.label} can only be regenerated as a whole.`);
+  }
+
+  throwIfCancelled(signal);
+  if (onStepStart) onStepStart(step, number);
+  const { result, usage } = await meterStep(step, number, { budget, onStepFailed }, () => withSignal(signal, () => variant
+    ? step.variants.regenerate(context[id], variant, stepInputs(steps, step, context), { note })
+    : runStep(steps, step, context, {
+      note,
+      budget,
+      onDelta: onStepDelta && ((delta, attempt) => onStepDelta(step, number, delta, attempt))
+    })));
+  context[id] = result;
+  if (onStepDone) onStepDone(step, number, result, context, usage);
+
+  return context[id];
+}
+
+/**
+ * Take a reviewer's edit of a step's stored output as if the model had
+ * answered with it. What's stored is the refined output, so the model's
+ * share of it (the step's `answerOf`, or all of it) is checked against the
+ * step's schema and refined again — limit reports and compliance verdicts
+ * are redone, not trusted. A fanned-out step with `split` is revised part
+ * by part. Throws straight away, with the schema's complaints, if the edit
+ * doesn't fit.
+ *
+ * Otherwise returns a promise of { result, usage } — a refine may call the
+ * model (an edited headline that runs over its limit is rewritten), and
+ * usage is what that cost.
+ */
+export function reviseStep(steps, id, context, edited) {
+  const step = steps.find(s => s.id === id);
+  const inputs = stepInputs(steps, step, context);
+  const split = step.fanOut && step.fanOut.split;
+  const parts = split ? step.fanOut.parts(inputs) : [inputs];
+
+  const answers = parts.map((part) => {
+    let stored = edited;
+    if (split) stored = split(conform(OBJECT_SCHEMA, stored), part);
+    const answer = step.answerOf ? step.answerOf(conform(OBJECT_SCHEMA, stored), part) : stored;
+    return conform(stepSchema(step, part), answer);
+  });
+
+  return meterUsage(async () => {
+    const outputs = await Promise.all(answers.map((answer, i) => step.refine ? step.refine(answer, parts[i]) : answer));
+    return split ? step.fanOut.merge(outputs, inputs) : outputs[0];
+  });
+}
+
+const OBJECT_SCHEMA = { type: 'object' };
+
+// The value, if it matches the schema — otherwise throw with why not
+function conform(schema, value) {
+  const problem = validate(schema, value);
+  if (problem) throw new Error(problem);
+  return value;
+}
+
+/**
+ * Meter one step's model calls and charge them to the budget. A step that
+ * fails has still spent what it spent: that's charged too, and reported
+ * through onStepFailed before the error goes on.
+ */
+async function meterStep(step, number, { budget, onStepFailed }, fn) {
+  try {
+    const metered = await meterUsage(fn);
+    if (budget) budget.remaining -= metered.usage.cost;
+    return metered;
+  } catch (err) {
+    if (err.usage && err.usage.calls > 0) {
+      if (budget) budget.remaining -= err.usage.cost;
+      if (onStepFailed) onStepFailed(step, number, err.usage, err);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Ids of every step built on the given step's output, directly or through
+ * another step, in pipeline order.
+ */
+export function dependentSteps(steps, id) {
+  const affected = new Set([id]);
+  for (const step of steps) {
+    if (step.inputs.some(input => affected.has(input))) affected.add(step.id);
+  }
+  affected.delete(id);
+  return [...affected];
+}
+
+/**
+ * Merge several sets of runner hooks; each hook calls every set's handler
+ * in order.
+ */
+export function combineHooks(...sets) {
+  const combined = {};
+  for (const name of ['onStepStart', 'onStepDelta', 'onStepDone', 'onStepFailed']) {
+    const handlers = sets.map(set => set[name]).filter(Boolean);
+    if (handlers.length > 0) combined[name] = (...args) => handlers.forEach(handler => handler(...args));
+  }
+  return combined;
+}
+
+/**
+ * Parse a step selection like "1-2", "3", "1,3" or "analysis,copy" into a
+ * Set of step ids. Numbers are 1-based positions in the pipeline.
+ */
+export function selectSteps(steps, spec) {
+  const selected = new Set();
+
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2] || range[1]);
+      if (from < 1 || to > steps.length || from > to) {
+        throw new Error(`Step range "${part}" is outside 1-${steps.length}.`);
+      }
+      for (let n = from; n <= to; n++) selected.add(steps[n - 1].id);
+    } else if (steps.some(step => step.id === part)) {
+      selected.add(part);
+    } else {
+      throw new Error(`Unknown step "${part}" — use numbers 1-${steps.length} or ids (${steps.map(s => s.id).join(', ')}).`);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Markdown for one step's output, built from its structured data.
+ */
+export function renderStep(step, context) {
+  return step.render(context[step.id], context);
+}
+
+/**
+ * Markdown preview of a step that is still streaming, or null when too
+ * little has arrived to render anything.
+ */
+export function renderPartial(step, text, context) {
+  const partial = parsePartialJSON(text);
+  if (!partial) return null;
+
+  try {
+    return step.render(fillDefaults(stepSchema(step, context), partial), context);
+  } catch (_) {
+    return null;
+  }
+}
+
+function stepInputs(steps, step, context) {
+  const stepIds = new Set(steps.map(s => s.id));
+  const inputs = {};
+
+  for (const key of step.inputs) {
+    if (stepIds.has(key) && context[key] === undefined) {
+      throw new Error(`Step "${step.id}" needs the output of "${key}", which hasn't run yet.`);
+    }
+    inputs[key] = context[key];
+  }
+
+  return inputs;
+}
+
+function withNote(messages, note) {
+  const last = messages[messages.length - 1];
+  return [
+    ...messages.slice(0, -1),
+    { ...last, content: `${last.content}\n\n---\n\nSTEERING NOTE FROM THE CREATIVE TEAM (this is a redo — apply it):\n${note}` }
+  ];
+}
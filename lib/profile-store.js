@@ -0,0 +1,138 @@
+/**
+ * Profile Store
+ *
+ * Keeps each client's brand guidelines as a JSON file under profiles/, so
+ * they're written once rather than pasted into every run. Guidelines are
+ * the written text plus an optional rule set for the compliance check (see
+ * lib/compliance.js). They're versioned: saving a change adds a new
+ * version and the old ones stay in the history. Runs record the version
+ * they used.
+ *
+ * A profile looks like:
+ *
+ *   {
+ *     clientName, clientSlug,
+ *     createdAt, updatedAt,
+ *     budget,                                               // optional US dollar cap across all runs
+ *     versions: [{ version, guidelines, rules, createdAt }]   // oldest first
+ *   }
+ *
+ * Profiles are keyed by client slug, so "Acme Corp" and "acme corp" share one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { toSlug } from './output.js';
+
+const PROFILES_DIR = process.env.PROFILES_DIR || 'profiles';
+
+/**
+ * Every profile, alphabetically by client name.
+ */
+export function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf-8')))
+    .sort((a, b) => a.clientName.localeCompare(b.clientName));
+}
+
+/**
+ * Load a client's profile by name or slug. Returns null when there isn't one.
+ */
+export function getProfile(client) {
+  const slug = toSlug(client);
+  if (!slug) return null;
+
+  const file = profilePath(slug);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * Save guidelines for a client, creating the profile if needed. Either part
+ * left undefined carries over from the current version, and nothing is
+ * saved when both match it. Returns the profile.
+ */
+export function saveGuidelines(clientName, { guidelines, rules }) {
+  const now = new Date().toISOString();
+  const profile = getProfile(clientName) || newProfile(clientName);
+
+  const current = currentVersion(profile);
+  const next = {
+    guidelines: guidelines !== undefined ? guidelines : (current ? current.guidelines : ''),
+    rules: rules !== undefined ? rules : (current ? current.rules : {})
+  };
+
+  if (!current || current.guidelines !== next.guidelines || JSON.stringify(current.rules) !== JSON.stringify(next.rules)) {
+    profile.versions.push({ version: (current ? current.version : 0) + 1, ...next, createdAt: now });
+    writeProfile(profile);
+  }
+
+  return profile;
+}
+
+/**
+ * Set (or, with null, remove) a client's spending cap — the most all of
+ * their runs together may cost, in US dollars. Not versioned. Returns the
+ * profile.
+ */
+export function saveBudget(clientName, budget) {
+  const profile = getProfile(clientName) || newProfile(clientName);
+  if (budget === null) delete profile.budget;
+  else profile.budget = budget;
+
+  writeProfile(profile);
+  return profile;
+}
+
+/**
+ * Delete a client's profile and its history. Returns false if there was none.
+ */
+export function deleteProfile(client) {
+  const profile = getProfile(client);
+  if (!profile) return false;
+
+  fs.unlinkSync(profilePath(profile.clientSlug));
+  return true;
+}
+
+/**
+ * The latest guidelines version of a profile, or null if it has none.
+ */
+export function currentVersion(profile) {
+  return profile.versions[profile.versions.length - 1] || null;
+}
+
+/**
+ * Which guidelines a run for this client should use. Guidelines or rules
+ * passed in explicitly win and are saved as the profile's next version
+ * when they differ; otherwise the profile's current version is used.
+ * Returns { brandGuidelines, brandRules, guidelinesVersion } — all
+ * undefined when the client has no profile.
+ */
+export function resolveGuidelines(clientName, { guidelines, rules } = {}) {
+  const profile = guidelines || rules ? saveGuidelines(clientName, { guidelines, rules }) : getProfile(clientName);
+  const current = profile && currentVersion(profile);
+  if (!current) return { brandGuidelines: undefined, brandRules: undefined, guidelinesVersion: undefined };
+
+  return { brandGuidelines: current.guidelines || undefined, brandRules: current.rules, guidelinesVersion: current.version };
+}
+
+function newProfile(clientName) {
+  const now = new Date().toISOString();
+  return { clientName, clientSlug: toSlug(clientName), createdAt: now, updatedAt: now, versions: [] };
+}
+
+function writeProfile(profile) {
+  profile.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  const file = profilePath(profile.clientSlug);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(profile, null, 2), 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function profilePath(slug) {
+  return path.join(PROFILES_DIR, `${slug}.json`);
+}
@@ -0,0 +1,142 @@
+/**
+ * Prompt Templates
+ *
+ * The wording of every prompt lives in prompts/ as a template file, so it
+ * can be tuned without touching the steps. A template starts with a
+ * version stamp and fills in variables the step supplies:
+ *
+ *   ---
+ *   version: 3
+ *   ---
+ *   Analyze the following client brief...
+ *
+ *   CLIENT BRIEF:
+ *   {{brief}}{{#brandGuidelines}}
+ *
+ *   BRAND GUIDELINES:
+ *   {{brandGuidelines}}{{/brandGuidelines}}
+ *
+ *   {{name}}                     — the variable; objects are inserted as JSON
+ *   {{#name}}...{{/name}}        — only when the variable is set (non-empty)
+ *   {{^name}}...{{/name}}        — only when it isn't
+ *
+ * `system` is the persona every step shares; `judge` is the eval rubric
+ * (lib/evals.js); the rest are named after the step (or the part of a
+ * step) that uses them.
+ *
+ * Overrides: a template of the same name in PROMPT_OVERRIDES_DIR (default
+ * prompt-overrides/) replaces the built-in one for the whole agency, and
+ * one in PROMPT_OVERRIDES_DIR/clients/<client-slug>/ replaces it for that
+ * client only. Overrides carry their own version stamps.
+ *
+ * A run resolves its templates once, when it's created, and keeps them
+ * with its inputs — so resuming or regenerating uses the same wording, and
+ * the run records which version of each it was made with.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toSlug } from './output.js';
+
+const BUILT_IN_DIR = fileURLToPath(new URL('../prompts/', import.meta.url));
+const OVERRIDES_DIR = process.env.PROMPT_OVERRIDES_DIR || 'prompt-overrides';
+const EXTENSION = '.md';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const TAG = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\w+)\}\}/g;
+
+/**
+ * Every template a run for this client would use, keyed by name:
+ * { <name>: { version, source, text } } where source is 'built-in',
+ * 'agency' or 'client'. Without a client name only agency overrides apply.
+ */
+export function resolvePrompts(clientName) {
+  const slug = clientName && toSlug(clientName);
+  const layers = [
+    ['built-in', BUILT_IN_DIR],
+    ['agency', OVERRIDES_DIR],
+    ...(slug ? [['client', path.join(OVERRIDES_DIR, 'clients', slug)]] : [])
+  ];
+
+  const prompts = {};
+  for (const name of templateNames(BUILT_IN_DIR)) {
+    for (const [source, dir] of layers) {
+      const file = path.join(dir, `${name}${EXTENSION}`);
+      if (fs.existsSync(file)) prompts[name] = { ...parseTemplate(file), source };
+    }
+  }
+  return prompts;
+}
+
+/**
+ * Fill in one of the run's resolved templates. Throws on a name the run
+ * has no template for, or a variable the template uses but the caller
+ * doesn't supply.
+ */
+export function renderPrompt(prompts, name, variables = {}) {
+  if (!Object.hasOwn(prompts, name)) {
+    throw new Error(`There's no prompt template "${name}" — expected one of ${Object.keys(prompts).join(', ')}.`);
+  }
+  return fill(prompts[name].text, variables, name);
+}
+
+/**
+ * The version stamp and source of each template, without the text — what
+ * run summaries show.
+ */
+export function promptVersions(prompts) {
+  return Object.fromEntries(Object.entries(prompts).map(([name, { version, source }]) => [name, { version, source }]));
+}
+
+/**
+ * The named templates with their text as well as their stamp — what the
+ * step cache keys on (lib/step-cache.js), so an override edited without a
+ * version bump still counts as changed.
+ */
+export function promptTexts(prompts, names) {
+  return Object.fromEntries(names.map((name) => {
+    const { version, source, text } = prompts[name];
+    return [name, { version, source, text }];
+  }));
+}
+
+function templateNames(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(EXTENSION))
+    .map(file => path.basename(file, EXTENSION));
+}
+
+function parseTemplate(file) {
+  const source = fs.readFileSync(file, 'utf-8');
+  const header = source.match(FRONT_MATTER);
+  const version = header && (header[1].match(/^version:\s*(.+?)\s*$/m) || [])[1];
+  if (!version) {
+    throw new Error(`Prompt template ${file} has no version stamp — start it with a "---" header containing "version: <n>".`);
+  }
+
+  return { version, text: source.slice(header[0].length).replace(/\r?\n$/, '') };
+}
+
+function fill(text, variables, name) {
+  const lookup = (key) => {
+    if (!(key in variables)) {
+      const available = Object.keys(variables);
+      throw new Error(`Prompt template "${name}" uses {{${key}}}, which it isn't given — ${available.length ? `available: ${available.join(', ')}` : 'it takes no variables'}.`);
+    }
+    return variables[key];
+  };
+
+  // One pass, so nothing inside a filled-in value is read as a tag
+  return text.replace(TAG, (match, kind, sectionKey, body, key) => {
+    if (key) {
+      const value = lookup(key);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    const value = lookup(sectionKey);
+    const set = Array.isArray(value) ? value.length > 0 : !!value;
+    return set === (kind === '#') ? fill(body, variables, name) : '';
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * Anthropic provider — the live Messages API via the official SDK.
+ *
+ * The SDK retries 529/5xx errors twice by default. We extend this with
+ * maxRetries: 4 (= 5 total attempts with longer backoff); callClaude adds
+ * an application-level retry loop on top.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export function createAnthropicProvider() {
+  // SDK retries 529/5xx automatically up to maxRetries times with backoff
+  const client = new Anthropic({ maxRetries: 4 });
+
+  return {
+    name: 'anthropic',
+
+    async complete({ model, max_tokens, temperature, system, messages }, { onDelta, signal } = {}) {
+      if (!onDelta) {
+        const message = await client.messages.create({
+          model,
+          max_tokens,
+          temperature,
+          system,
+          messages
+        }, { signal });
+
+        return { text: message.content[0].text, model: message.model, usage: message.usage };
+      }
+
+      // Streaming mode — forward text as it arrives, resolve with the full message
+      const stream = client.messages.stream({ model, max_tokens, temperature, system, messages }, { signal });
+      stream.on('text', (delta) => onDelta(delta));
+      const message = await stream.finalMessage();
+
+      return { text: message.content[0].text, model: message.model, usage: message.usage };
+    }
+  };
+}
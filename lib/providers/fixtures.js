@@ -0,0 +1,75 @@
+/**
+ * Record/replay fixture providers.
+ *
+ * Each request is keyed by a hash of everything that affects the reply
+ * (model, max_tokens, temperature, system, messages) and stored as
+ * <key>.json in the fixtures directory:
+ *
+ *   { key, request, response: { text, model, usage } }
+ *
+ * "record" wraps a live provider and saves every pair it sees; "replay"
+ * serves those files without touching the network, so the steps, the
+ * server's SSE flow and the CLI can all run deterministically offline.
+ * Streaming is not part of the key — a replayed stream delivers the saved
+ * text in fixed-size chunks. A request with no temperature hashes as it did
+ * before temperatures could be set, so older fixtures still match.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const REPLAY_CHUNK_CHARS = 40;
+
+export function fixtureKey({ model, max_tokens, temperature, system, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model, max_tokens, temperature, system, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export function createRecordingProvider(inner, dir) {
+  return {
+    name: `record(${inner.name})`,
+
+    async complete(request, options) {
+      const response = await inner.complete(request, options);
+      const key = fixtureKey(request);
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, `${key}.json`),
+        JSON.stringify({ key, request, response }, null, 2),
+        'utf-8'
+      );
+
+      return response;
+    }
+  };
+}
+
+export function createReplayProvider(dir) {
+  return {
+    name: 'replay',
+
+    async complete(request, { onDelta, signal } = {}) {
+      if (signal) signal.throwIfAborted();
+      const key = fixtureKey(request);
+      const file = path.join(dir, `${key}.json`);
+
+      if (!fs.existsSync(file)) {
+        throw new Error(`No recorded fixture for this request (${file}). Record it first with LLM_PROVIDER=record.`);
+      }
+
+      const { response } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (onDelta) {
+        for (let i = 0; i < response.text.length; i += REPLAY_CHUNK_CHARS) {
+          onDelta(response.text.slice(i, i + REPLAY_CHUNK_CHARS));
+        }
+      }
+
+      return response;
+    }
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * LLM Provider Selection
+ *
+ * callClaude talks to whichever provider is active. A provider is any
+ * object with:
+ *
+ *   name                    — shown in logs
+ *   complete(request, opts) — async ({ model, max_tokens, temperature, system, messages },
+ *                             { onDelta, signal }) => { text, model, usage }
+ *                             temperature may be undefined (the API default);
+ *                             onDelta, when given, receives text as it streams;
+ *                             signal, when given, aborts the request
+ *
+ * Chosen by LLM_PROVIDER:
+ *   anthropic (default) — live API
+ *   record              — live API, saving every request/response pair
+ *   replay              — serve saved pairs offline, fail on anything unseen
+ *
+ * Fixtures live in LLM_FIXTURES_DIR (default: fixtures/). Tests can skip
+ * the environment entirely and install a provider with setProvider().
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createRecordingProvider, createReplayProvider } from './fixtures.js';
+
+let active = null;
+
+export function getProvider() {
+  if (!active) active = providerFromEnv();
+  return active;
+}
+
+export function setProvider(provider) {
+  active = provider;
+}
+
+function providerFromEnv() {
+  const mode = process.env.LLM_PROVIDER || 'anthropic';
+  const dir = process.env.LLM_FIXTURES_DIR || 'fixtures';
+
+  switch (mode) {
+    case 'anthropic':
+      return createAnthropicProvider();
+    case 'record':
+      return createRecordingProvider(createAnthropicProvider(), dir);
+    case 'replay':
+      return createReplayProvider(dir);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${mode}" — expected anthropic, record or replay.`);
+  }
+}
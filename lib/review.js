@@ -0,0 +1,139 @@
+/**
+ * Review Gates
+ *
+ * A run can stop after any step so a person can check — and edit — what it
+ * produced before the steps built on it run. Which steps are gated is
+ * chosen per run; by default it's the steps whose definition has a
+ * `review` (the pain points). A step's `review` gives it a friendly text
+ * format to edit; any other step is edited as its JSON.
+ *
+ * Every decision at a gate goes on the run's audit trail:
+ *
+ *   { step, reviewer, comment, at,
+ *     changed,                        // whether the reviewer edited the output
+ *     diff }                          // the text they were shown against the
+ *                                     //   text they confirmed (diffLines)
+ */
+
+const DIFF_CONTEXT_LINES = 2;
+
+/**
+ * Ids of the steps a run pauses after when it doesn't say.
+ */
+export function defaultGates(steps) {
+  return steps.filter(step => step.review).map(step => step.id);
+}
+
+/**
+ * What's wrong with a list of step ids to pause after, or null if nothing is.
+ */
+export function gatesProblem(steps, gates) {
+  if (!Array.isArray(gates)) {
+    return 'reviewGates must be a list of step ids.';
+  }
+  const unknown = gates.find(id => !steps.some(step => step.id === id));
+  if (unknown !== undefined) {
+    return `Unknown step "${unknown}" in reviewGates — expected any of ${steps.map(step => step.id).join(', ')}.`;
+  }
+  if (new Set(gates).size !== gates.length) {
+    return 'Each step can only be gated once.';
+  }
+  return null;
+}
+
+/**
+ * How a step's output is shown for review and read back:
+ * { title, hint, toText(output, context), fromText(text, context) }.
+ */
+export function reviewFormat(step) {
+  if (step.review) return step.review;
+
+  return {
+    title: `Does the ${step.label} look right?`,
+    hint: 'Edit the JSON below if anything needs changing — it has to keep the same shape. The pipeline will continue with whatever you confirm.',
+    toText: output => JSON.stringify(output, null, 2),
+    fromText: text => {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        throw new Error(`That isn't valid JSON: ${err.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * The audit trail entry for one review: `shown` is the text the reviewer
+ * was given, `confirmed` the text of the output they continued with.
+ */
+export function reviewEntry(step, { reviewer, comment, shown, confirmed }) {
+  const changed = shown !== confirmed;
+  return {
+    step: step.id,
+    reviewer,
+    comment: comment || null,
+    at: new Date().toISOString(),
+    changed,
+    diff: changed ? diffLines(shown, confirmed) : ''
+  };
+}
+
+/**
+ * A line diff of two texts: removed lines start "- ", added lines "+ ", and
+ * a couple of unchanged lines around each change start "  ". Unchanged runs
+ * further from a change are cut down to "…".
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ mark: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ mark: '-', text: a[i++] });
+    } else {
+      lines.push({ mark: '+', text: b[j++] });
+    }
+  }
+
+  const changes = lines.map((line, index) => line.mark !== ' ' ? index : -1).filter(index => index >= 0);
+  const nearChange = index => changes.some(change => Math.abs(change - index) <= DIFF_CONTEXT_LINES);
+
+  const out = [];
+  lines.forEach((line, index) => {
+    if (nearChange(index)) {
+      out.push(`${line.mark} ${line.text}`);
+    } else if (out[out.length - 1] !== '…') {
+      out.push('…');
+    }
+  });
+  return out.join('\n');
+}
+
+/**
+ * The audit trail as a section of the campaign document.
+ */
+export function renderAuditTrail(steps, reviews) {
+  const entries = reviews.map(({ step: id, reviewer, comment, at, changed, diff }) => {
+    const step = steps.find(s => s.id === id);
+    const lines = [`### ${step ? step.label : id} — ${reviewer}, ${at.replace('T', ' ').slice(0, 16)} UTC`];
+    if (comment) lines.push(`> ${comment.split('\n').join('\n> ')}`);
+    lines.push(changed ? `Edited before continuing:\n\n\`\`\`diff\n${diff}\n\`\`\`` : 'Approved as is.');
+    return lines.join('\n\n');
+  });
+
+  return `## Review Audit Trail\n\n${entries.join('\n\n')}`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Run Queue
+ *
+ * Caps how many pipeline runs work at once, so a burst of runs waits its
+ * turn instead of piling into the API's rate limits. Work is started in
+ * the order it was queued; anything waiting hears its place in line each
+ * time the line moves.
+ *
+ *   const queue = createRunQueue({ concurrency: 2 });
+ *   await queue.run(() => runPipeline(...), {
+ *     signal,                                  // cancel while still waiting
+ *     onPosition: position => ...              // 1 = next to start
+ *   });
+ *
+ * Cancelling work that's still waiting takes it out of the line and
+ * rejects with the signal's reason; once started, cancelling it is up to
+ * the work (the runner takes the same signal).
+ */
+
+export function createRunQueue({ concurrency }) {
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error(`Run queue concurrency must be a whole number above zero, got ${concurrency}.`);
+  }
+
+  const waiting = [];
+  let running = 0;
+
+  function startNext() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+      job.start();
+    }
+    waiting.forEach((job, i) => job.onPosition && job.onPosition(i + 1));
+  }
+
+  return {
+    concurrency,
+
+    /**
+     * Run work() once a slot is free. Resolves or rejects with its result.
+     */
+    run(work, { signal, onPosition } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+
+        const onAbort = () => {
+          waiting.splice(waiting.indexOf(job), 1);
+          reject(signal.reason);
+          startNext();
+        };
+        const job = {
+          onPosition,
+          start: () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            Promise.resolve()
+              .then(work)
+              .then(resolve, reject)
+              .finally(() => {
+                running--;
+                startNext();
+              });
+          }
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        waiting.push(job);
+        startNext();
+      });
+    },
+
+    /**
+     * How many runs are working and how many are waiting.
+     */
+    stats() {
+      return { running, waiting: waiting.length, concurrency };
+    }
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Run Store
+ *
+ * Persists each pipeline run — from the server or the CLI — as a JSON file
+ * under runs/ so a run survives the gap between phases (and browser
+ * reloads), can be reopened by ID from anywhere, and shows up in the
+ * client's history. Every run is a new version; nothing is overwritten.
+ *
+ * A run record looks like:
+ *
+ *   {
+ *     id, clientName, clientSlug,
+ *     version,                        // 1, 2, 3... per client
+ *     guidelinesVersion,              // brand guidelines version used (lib/profile-store.js)
+ *     budget,                         // optional US dollar cap for this run
+ *     cache,                          // whether steps may reuse cached results
+ *                                     //   (lib/step-cache.js)
+ *     usage,                          // everything the run has spent (lib/usage.js),
+ *                                     //   regenerations included
+ *     status,                         // 'queued' | 'running' | 'paused' | 'done' |
+ *                                     //   'error' | 'cancelled'
+ *     createdAt, updatedAt,
+ *     inputs: { brief, brandGuidelines, brandRules,
+ *               channels,             // channels the copy is written for (steps/channels.js)
+ *               locales,              // locales it's transcreated for (steps/locales.js)
+ *               prompts },            // templates the run uses, with their
+ *                                     //   version stamps (lib/prompts.js)
+ *     steps: {
+ *       <stepId>: { inputs: [...context keys], model, models, output, original?,
+ *                   usage, cached?, startedAt, finishedAt, durationMs }
+ *     },
+ *     reviewGates,                    // ids of the steps to pause after for review,
+ *                                     //   or null for the default (lib/review.js)
+ *     review,                         // id of the step awaiting review, or null
+ *     reviews: [...],                 // audit trail of every review (lib/review.js)
+ *     finalizedAt,                    // when the copy was cut down to the approved
+ *                                     //   versions (lib/selections.js), if it has been
+ *     outputPath, error,
+ *     job?: { webhookUrl, baseUrl,    // set for runs started through POST /api/jobs
+ *             webhook }               // delivery state: { status, attempts }
+ *   }
+ *
+ * `original` is kept when a reviewer edits a step's output — or the team
+ * edits or finalizes the copy — so the record shows both what the model
+ * produced and what the pipeline continued with.
+ * A step's `model` is the one its settings asked for (lib/models.js);
+ * `models` are the ones that actually answered — a fallback among them if
+ * the first was overloaded. `cached` is set when the output was reused from
+ * the step cache (lib/step-cache.js) instead of made: { key, createdAt,
+ * saved } — saved being what it cost to make, in US dollars.
+ *
+ * Each client also has an index under runs/clients/<client-slug>/: one
+ * small <version>.json per run, { id, cost }. A new run claims its version
+ * by creating that file, which fails if it exists — so two processes
+ * starting runs for the same client at once can't both get the same one; saveRun keeps the
+ * cost current, and the client budget adds those up rather than reading
+ * every run.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { toSlug } from './output.js';
+import { EMPTY_USAGE, addUsage, formatCost } from './usage.js';
+import { getProfile } from './profile-store.js';
+import { promptVersions } from './prompts.js';
+import { modelSettings } from './models.js';
+
+const RUNS_DIR = process.env.RUNS_DIR || 'runs';
+const INDEX_DIR = path.join(RUNS_DIR, 'clients');
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+export function createRun({ clientName, brief, brandGuidelines, brandRules, channels, locales, prompts, guidelinesVersion, budget, reviewGates, cache }) {
+  const now = new Date().toISOString();
+  const clientSlug = toSlug(clientName);
+  const id = crypto.randomUUID();
+  const run = {
+    id,
+    clientName,
+    clientSlug,
+    version: claimVersion(clientSlug, id),
+    guidelinesVersion: guidelinesVersion || null,
+    budget: budget || null,
+    cache: cache !== false,
+    usage: EMPTY_USAGE,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    inputs: { brief, brandGuidelines, brandRules, channels, locales, prompts },
+    steps: {},
+    reviewGates: reviewGates || null,
+    review: null,
+    reviews: [],
+    outputPath: null,
+    error: null
+  };
+
+  saveRun(run);
+  return run;
+}
+
+/**
+ * Load a run by ID. Returns null for unknown (or malformed) IDs.
+ */
+export function getRun(id) {
+  if (!ID_PATTERN.test(id)) return null;
+
+  const file = path.join(RUNS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+export function saveRun(run) {
+  run.updatedAt = new Date().toISOString();
+
+  // Write-then-rename so a crash mid-write never leaves a half-written record
+  const file = path.join(RUNS_DIR, `${run.id}.json`);
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(run, null, 2), 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+
+  const entry = indexEntry(run.clientSlug, run.version);
+  fs.writeFileSync(`${entry}.tmp`, JSON.stringify({ id: run.id, cost: run.usage.cost }), 'utf-8');
+  fs.renameSync(`${entry}.tmp`, entry);
+}
+
+/**
+ * The pipeline context a run represents: its raw inputs plus every
+ * completed step's output.
+ */
+export function runContext(run) {
+  const context = { ...run.inputs };
+  for (const [id, record] of Object.entries(run.steps)) {
+    if (record.output !== undefined) context[id] = record.output;
+  }
+  return context;
+}
+
+/**
+ * Every run, newest first, optionally for one client (matched by slug).
+ */
+export function listRuns({ client } = {}) {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+
+  const slug = client && toSlug(client);
+  return fs.readdirSync(RUNS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(RUNS_DIR, file), 'utf-8')))
+    .filter(run => !slug || run.clientSlug === slug)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * History-list view of a run: metadata only, no step outputs.
+ */
+export function summarizeRun(run) {
+  const steps = Object.values(run.steps);
+
+  return {
+    id: run.id,
+    clientName: run.clientName,
+    version: run.version,
+    status: run.status,
+    createdAt: run.createdAt,
+    guidelines: run.inputs.brandGuidelines || null,
+    guidelinesVersion: run.guidelinesVersion || null,
+    prompts: promptVersions(run.inputs.prompts),
+    models: [...new Set(steps.flatMap(step => step.models || [step.model]).filter(Boolean))],
+    durationMs: steps.reduce((total, step) => total + (step.durationMs || 0), 0),
+    usage: run.usage,
+    outputPath: run.outputPath
+  };
+}
+
+/**
+ * The tighter of the run's own budget and its client's (what's left of the
+ * profile's cap after every run so far), as a runner budget — or undefined
+ * when neither is set.
+ */
+export function budgetFor(run) {
+  const caps = [];
+
+  if (run.budget) {
+    caps.push({ remaining: run.budget - run.usage.cost, description: `this run's ${formatCost(run.budget)} budget` });
+  }
+
+  const profile = getProfile(run.clientName);
+  if (profile && profile.budget) {
+    const spent = clientIndex(run.clientSlug).reduce((total, entry) => total + entry.cost, 0);
+    caps.push({ remaining: profile.budget - spent, description: `${profile.clientName}'s ${formatCost(profile.budget)} client budget` });
+  }
+
+  return caps.reduce((tightest, cap) => !tightest || cap.remaining < tightest.remaining ? cap : tightest, undefined);
+}
+
+/**
+ * Token usage and cost per completed step, plus the run's running total —
+ * what the saved document reports. A step reused from the cache cost
+ * nothing; its usage carries the models that made it and `cached: true`.
+ */
+export function runUsage(run) {
+  const steps = {};
+  for (const [id, record] of Object.entries(run.steps)) {
+    if (record.usage) steps[id] = record.cached ? { ...record.usage, models: record.models, cached: true } : record.usage;
+  }
+  return { steps, total: run.usage };
+}
+
+/**
+ * Runner hooks that record each step's model, timing, usage and output on
+ * the run and save it — and the usage of a step that failed. Combine with progress hooks via combineHooks.
+ */
+export function recordingHooks(run) {
+  return {
+    onStepStart: (step) => {
+      run.steps[step.id] = { inputs: step.inputs, model: modelSettings(step).model, startedAt: new Date().toISOString() };
+      saveRun(run);
+    },
+    onStepDone: (step, number, output, context, usage, cached) => {
+      const record = run.steps[step.id];
+      record.output = output;
+      record.usage = usage;
+      record.models = cached ? cached.models : usage.models;
+      if (cached) record.cached = { key: cached.key, createdAt: cached.createdAt, saved: cached.usage.cost };
+      run.usage = addUsage(run.usage, usage);
+      record.finishedAt = new Date().toISOString();
+      record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+      saveRun(run);
+    },
+    // What a failed step spent is billed all the same
+    onStepFailed: (step, number, usage) => {
+      const record = run.steps[step.id];
+      if (record) record.usage = usage;
+      run.usage = addUsage(run.usage, usage);
+      saveRun(run);
+    }
+  };
+}
+
+// The client's next version, claimed for this run: the first number after
+// the highest in its index that no other run has taken in the meantime.
+// The entry is written aside and hard-linked into place — a link fails if
+// the name is taken, so each version is claimed once, and never half-written.
+function claimVersion(clientSlug, id) {
+  const dir = path.join(INDEX_DIR, clientSlug);
+  const claim = path.join(dir, `${id}.tmp`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(claim, JSON.stringify({ id, cost: 0 }), 'utf-8');
+
+  try {
+    let version = Math.max(0, ...versionsIn(dir)) + 1;
+    for (;; version++) {
+      try {
+        fs.linkSync(claim, indexEntry(clientSlug, version));
+        return version;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+  } finally {
+    fs.rmSync(claim, { force: true });
+  }
+}
+
+function clientIndex(clientSlug) {
+  const dir = path.join(INDEX_DIR, clientSlug);
+  if (!fs.existsSync(dir)) return [];
+
+  return versionsIn(dir).map(version => JSON.parse(fs.readFileSync(indexEntry(clientSlug, version), 'utf-8')));
+}
+
+function versionsIn(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+\.json$/.test(file))
+    .map(file => parseInt(file, 10));
+}
+
+function indexEntry(clientSlug, version) {
+  return path.join(INDEX_DIR, clientSlug, `${version}.json`);
+}
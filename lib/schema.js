@@ -0,0 +1,61 @@
+/**
+ * JSON schema validation for structured step output.
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true });
+
+// Compiled validators by schema text. Most step schemas are built fresh
+// for each call (they depend on the run's channels, pain points...), and
+// Ajv only reuses a validator for the same schema object — so without this
+// every call would compile, and keep, another one.
+const validators = new Map();
+
+/**
+ * Check data against a JSON schema. Returns null when it matches, otherwise
+ * a readable list of what's wrong (suitable for feeding back to the model).
+ */
+export function validate(schema, data) {
+  const key = JSON.stringify(schema);
+  let check = validators.get(key);
+  if (!check) {
+    check = ajv.compile(schema);
+    ajv.removeSchema(schema);
+    validators.set(key, check);
+  }
+  if (check(data)) return null;
+  return ajv.errorsText(check.errors, { dataVar: 'output', separator: '\n' });
+}
+
+/**
+ * Fill the gaps in partial data (e.g. a half-streamed reply) so it has the
+ * schema's shape: missing required strings become '…', arrays [], numbers 0,
+ * nullable values null. Lets renderers run on output that isn't finished yet.
+ */
+export function fillDefaults(schema, data) {
+  const types = [].concat(schema.type);
+
+  if (data === undefined || data === null) {
+    if (types.includes('null')) return null;
+    if (types.includes('object')) data = {};
+    else if (types.includes('array')) return [];
+    else if (types.includes('string')) return '…';
+    else return 0;
+  }
+
+  if (types.includes('object') && typeof data === 'object' && !Array.isArray(data)) {
+    const filled = { ...data };
+    for (const key of schema.required || []) {
+      filled[key] = fillDefaults(schema.properties[key], data[key]);
+    }
+    return filled;
+  }
+
+  if (types.includes('array') && Array.isArray(data)) {
+    // A list of item schemas is a tuple: one schema per position
+    return data.map((item, i) => fillDefaults(Array.isArray(schema.items) ? schema.items[i] || {} : schema.items, item));
+  }
+
+  return data;
+}
@@ -0,0 +1,146 @@
+/**
+ * Copy Selections
+ *
+ * The team's verdict on each version of the ad copy (Step 3): approved or
+ * rejected, starred as a favorite, and edited inline. Selections are kept
+ * in the copy output itself, next to its limit report:
+ *
+ *   selections: [{ painPointId, variant, index,
+ *                  status,             // 'approved' | 'rejected' | null (undecided)
+ *                  starred,            // true for the team's favorites
+ *                  edited }]           // true once the text was changed by hand
+ *
+ * A version with no entry is undecided. Regenerating a version clears its
+ * entry — the team hasn't seen the new text yet.
+ *
+ * Finalizing a run (POST /api/runs/:id/finalize) cuts the copy down to
+ * its approved versions (approvedCopy) and rebuilds everything made from
+ * it — the strategy, the compliance check, the transcreations, and so the
+ * exports.
+ */
+
+import { validate } from './schema.js';
+import { CHANNELS, itemSchema, itemLabel, channelItems, hasLimits, limitViolations } from '../steps/channels.js';
+
+export const SELECTION_STATUSES = ['approved', 'rejected'];
+
+/**
+ * The selection for one version — { status, starred, edited } — undecided
+ * when there isn't one.
+ */
+export function selectionFor(copy, version) {
+  const entry = (copy.selections || []).find(e => sameVersion(e, version));
+  return entry
+    ? { status: entry.status, starred: entry.starred, edited: entry.edited }
+    : { status: null, starred: false, edited: false };
+}
+
+/**
+ * What's wrong with a selection request — { painPointId, variant, index,
+ * status?, starred?, item? } — for this copy, or null if it can be made.
+ */
+export function selectionProblem(copy, { painPointId, variant, index, status, starred, item }) {
+  if (!Number.isInteger(painPointId) || !Object.hasOwn(CHANNELS, variant) || !Number.isInteger(index)) {
+    return 'painPointId, variant and index must say which version of the copy this is.';
+  }
+
+  const variation = copy.variations.find(v => v.painPointId === painPointId);
+  const items = variation ? channelItems(variation, variant) : [];
+  if (items[index] === undefined) {
+    return `There is no ${itemLabel(variant, index, items.length || 1)} copy for pain point ${painPointId}.`;
+  }
+
+  if (status !== undefined && status !== null && !SELECTION_STATUSES.includes(status)) {
+    return `status must be one of ${SELECTION_STATUSES.join(', ')}, or null to undo the decision.`;
+  }
+  if (starred !== undefined && typeof starred !== 'boolean') {
+    return 'starred must be true or false.';
+  }
+  if (item !== undefined) {
+    const errors = validate(itemSchema(variant), item);
+    if (errors) return `The edited ${CHANNELS[variant].copyLabel} copy doesn't have the right shape:\n${errors}`;
+  }
+  if (status === undefined && starred === undefined && item === undefined) {
+    return 'Nothing to change — send a status, starred or an edited item.';
+  }
+  return null;
+}
+
+/**
+ * The copy with one version's selection changed — and, given an item, its
+ * text replaced and its limit check redone. Check the change with
+ * selectionProblem first.
+ */
+export function selectVersion(copy, version, { status, starred, item }) {
+  const { painPointId, variant, index } = version;
+  const current = selectionFor(copy, version);
+  const existing = channelItems(copy.variations.find(v => v.painPointId === painPointId), variant)[index];
+  const edited = item !== undefined && JSON.stringify(item) !== JSON.stringify(existing);
+  const selection = {
+    painPointId,
+    variant,
+    index,
+    status: status === undefined ? current.status : status,
+    starred: starred === undefined ? current.starred : starred,
+    edited: current.edited || edited
+  };
+
+  const others = (copy.selections || []).filter(e => !sameVersion(e, version));
+  const keep = selection.status || selection.starred || selection.edited;
+  const updated = { ...copy, selections: sortVersions(keep ? [...others, selection] : others) };
+  if (!edited) return updated;
+
+  const variations = copy.variations.map(v => v.painPointId !== painPointId ? v : {
+    ...v,
+    [variant]: channelItems(v, variant).map((other, i) => i === index ? item : other)
+  });
+  if (!hasLimits(variant)) return { ...updated, variations };
+
+  const previous = (copy.limitReport || []).find(e => sameVersion(e, version));
+  const entry = { painPointId, variant, index, rewrites: previous ? previous.rewrites : 0, passed: limitViolations(variant, item).length === 0 };
+  const limitReport = sortVersions([...(copy.limitReport || []).filter(e => !sameVersion(e, version)), entry]);
+  return { ...updated, variations, limitReport };
+}
+
+/**
+ * How many versions of the copy are approved.
+ */
+export function approvedCount(copy) {
+  return (copy.selections || []).filter(e => e.status === 'approved').length;
+}
+
+/**
+ * The copy cut down to its approved versions. A channel left with none
+ * is kept as an empty list; a pain point left with none at all is
+ * dropped. Limit report and selection entries are renumbered to match.
+ */
+export function approvedCopy(copy, channels) {
+  const renumbered = [];
+  const variations = copy.variations
+    .map(variation => ({
+      ...variation,
+      ...Object.fromEntries(channels.map((variant) => {
+        const kept = channelItems(variation, variant)
+          .map((item, index) => ({ item, index }))
+          .filter(({ index }) => selectionFor(copy, { painPointId: variation.painPointId, variant, index }).status === 'approved');
+        kept.forEach(({ index }, newIndex) => renumbered.push({ painPointId: variation.painPointId, variant, index, newIndex }));
+        return [variant, kept.map(({ item }) => item)];
+      }))
+    }))
+    .filter(variation => channels.some(variant => variation[variant].length > 0));
+
+  const carry = entries => (entries || []).flatMap((entry) => {
+    const match = renumbered.find(r => sameVersion(r, entry));
+    return match ? [{ ...entry, index: match.newIndex }] : [];
+  });
+
+  return { ...copy, variations, limitReport: carry(copy.limitReport), selections: carry(copy.selections) };
+}
+
+function sameVersion(a, b) {
+  return a.painPointId === b.painPointId && a.variant === b.variant && a.index === b.index;
+}
+
+function sortVersions(entries) {
+  return entries.sort((a, b) => a.painPointId - b.painPointId);
+}
@@ -0,0 +1,122 @@
+/**
+ * Step Cache
+ *
+ * Keeps every step result the runner produces under a hash of what went
+ * into it, so running the same step on the same inputs again — a rerun
+ * after editing only the pain points, say — reuses the result instead of
+ * calling the model. The key covers:
+ *
+ *   step        — the step's id
+ *   settings    — model, max_tokens and temperature (lib/models.js)
+ *   prompts     — the text, version stamp and source of each template the
+ *                 step renders (its `templates`, from the run's prompts —
+ *                 lib/prompts.js), so a reworded prompt misses — even an
+ *                 override edited without bumping its version — while one
+ *                 for another step doesn't
+ *   inputs      — the step's other inputs (the brief, earlier steps' output...)
+ *
+ * Entries are JSON files under STEP_CACHE_DIR (default: cache/):
+ *
+ *   { key, step, model, models, createdAt,
+ *     usage,                          // what making it cost (lib/usage.js) —
+ *                                     //   what each reuse saves
+ *     output }
+ *
+ * A change to a step's code rather than its prompt doesn't change the key;
+ * clear the cache (`node index.js cache clear`) after one.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { modelSettings } from './models.js';
+import { promptTexts } from './prompts.js';
+
+const CACHE_DIR = process.env.STEP_CACHE_DIR || 'cache';
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * The cache key for running a step on these inputs (as the runner hands
+ * them to it — see stepInputs in lib/pipeline.js).
+ */
+export function stepCacheKey(step, inputs) {
+  const { model, max_tokens, temperature } = modelSettings(step);
+  const { prompts, ...rest } = inputs;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ step: step.id, model, max_tokens, temperature, prompts: promptTexts(prompts, step.templates), inputs: rest }))
+    .digest('hex');
+}
+
+/**
+ * The cached entry for a key, or null when there isn't one.
+ */
+export function getCached(key) {
+  if (!KEY_PATTERN.test(key)) return null;
+
+  const file = path.join(CACHE_DIR, `${key}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * Cache a step's output, with the usage of the calls that made it.
+ */
+export function saveCached(key, step, output, usage) {
+  const entry = {
+    key,
+    step: step.id,
+    model: modelSettings(step).model,
+    models: usage.models,
+    createdAt: new Date().toISOString(),
+    usage,
+    output
+  };
+
+  // Write-then-rename so a run reading the cache never sees half an entry
+  const file = path.join(CACHE_DIR, `${key}.json`);
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry), 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+  return entry;
+}
+
+/**
+ * Every entry without its output — { key, step, model, models, createdAt,
+ * usage, bytes } — newest first, optionally for some steps only (a Set of
+ * step ids).
+ */
+export function listCached({ steps } = {}) {
+  return cacheFiles()
+    .map((file) => {
+      const { output, ...entry } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return { ...entry, bytes: fs.statSync(file).size };
+    })
+    .filter(entry => !steps || steps.has(entry.step))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Delete every entry, or those for some steps (a Set of step ids).
+ * Returns how many were deleted.
+ */
+export function clearCache({ steps } = {}) {
+  const entries = listCached({ steps });
+  for (const { key } of entries) fs.rmSync(path.join(CACHE_DIR, `${key}.json`), { force: true });
+  return entries.length;
+}
+
+/**
+ * Where the cache lives, for messages.
+ */
+export function cacheDir() {
+  return CACHE_DIR;
+}
+
+function cacheFiles() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+
+  return fs.readdirSync(CACHE_DIR)
+    .filter(file => KEY_PATTERN.test(path.basename(file, '.json')) && file.endsWith('.json'))
+    .map(file => path.join(CACHE_DIR, file));
+}
@@ -0,0 +1,136 @@
+/**
+ * Token Usage & Cost
+ *
+ * Every model call reports its token usage here (callClaude does it after
+ * each provider call). meterUsage collects what a piece of work spent —
+ * including calls made deep inside a step, like the search-limit rewrites
+ * — so the runner can attribute it to the step. A usage total looks like:
+ *
+ *   { inputTokens, outputTokens, cost, calls,      // cost in US dollars
+ *     models }                                     // every model that answered
+ *
+ * Prices are US dollars per million tokens, per model. The built-in table
+ * can be replaced with a JSON file of the same shape via LLM_PRICES_FILE;
+ * a "default" entry prices any model not listed.
+ *
+ * Budgets: a budget is { remaining, description }. The runner refuses a
+ * step whose worst-case cost (its prompts plus max_tokens of output) is more
+ * than what remains, and charges each step's actual cost to it.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+
+const DEFAULT_PRICES = {
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  default: { input: 3, output: 15 }
+};
+
+// Rough prompt size before the API tells us: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+const meters = new AsyncLocalStorage();
+let prices = null;
+
+export const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0, models: [] };
+
+/**
+ * The active price table — LLM_PRICES_FILE if set, otherwise the defaults.
+ */
+export function getPrices() {
+  if (!prices) {
+    prices = process.env.LLM_PRICES_FILE
+      ? JSON.parse(fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf-8'))
+      : DEFAULT_PRICES;
+  }
+  return prices;
+}
+
+/**
+ * Dollar cost of some tokens on a model.
+ */
+export function costOf(model, inputTokens, outputTokens) {
+  const table = getPrices();
+  const price = table[model] || table.default;
+  if (!price) {
+    throw new Error(`No price for model "${model}" — add it (or a "default" entry) to the price table.`);
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Record one model call's usage (as the API reports it) against every
+ * meter that's running.
+ */
+export function recordUsage(model, usage) {
+  const meter = meters.getStore();
+  if (!meter || !usage) return;
+
+  meter.total = addUsage(meter.total, {
+    inputTokens: usage.input_tokens,
+    outputTokens: usage.output_tokens,
+    cost: costOf(model, usage.input_tokens, usage.output_tokens),
+    calls: 1,
+    models: [model]
+  });
+}
+
+/**
+ * Run fn and total the usage of every model call it makes. Resolves to
+ * { result, usage }. If fn throws, the calls it made were still billed:
+ * their usage counts towards any enclosing meter all the same, and rides
+ * on the error as `err.usage`.
+ */
+export async function meterUsage(fn) {
+  const meter = { total: EMPTY_USAGE };
+  const parent = meters.getStore();
+
+  try {
+    const result = await meters.run(meter, fn);
+    return { result, usage: meter.total };
+  } catch (err) {
+    if (err instanceof Error) err.usage = meter.total;
+    throw err;
+  } finally {
+    if (parent) parent.total = addUsage(parent.total, meter.total);
+  }
+}
+
+export function addUsage(a = EMPTY_USAGE, b = EMPTY_USAGE) {
+  return {
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cost: a.cost + b.cost,
+    calls: a.calls + b.calls,
+    models: [...new Set([...a.models, ...b.models])]
+  };
+}
+
+/**
+ * Throw before calls whose worst case, all together, would overspend the
+ * budget — one call for most steps, one per part for a step that fans out.
+ * A call that may fall back to another model (lib/models.js) is priced at
+ * the dearest model in its chain.
+ */
+export function checkBudget(budget, label, requests) {
+  if (!budget) return;
+
+  const worstCase = requests.reduce((total, { model, fallbacks = [], max_tokens, system, messages }) => {
+    const promptChars = (system || '').length + messages.reduce((sum, m) => sum + String(m.content).length, 0);
+    const inputTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+    return total + Math.max(...[model, ...fallbacks].map(m => costOf(m, inputTokens, max_tokens)));
+  }, 0);
+
+  if (worstCase > budget.remaining) {
+    throw new Error(`Budget reached: ${label} could cost up to ${formatCost(worstCase)}, but only ${formatCost(Math.max(0, budget.remaining))} of ${budget.description} is left.`);
+  }
+}
+
+/**
+ * "$0.0421" — four decimals, since single steps cost fractions of a cent.
+ */
+export function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
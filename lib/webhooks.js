@@ -0,0 +1,105 @@
+/**
+ * Webhooks
+ *
+ * Tells an outside system (an internal tool, a Zapier-style automation)
+ * that a job has finished, by POSTing a JSON payload to the URL it gave.
+ *
+ * Every delivery is signed with WEBHOOK_SECRET so the receiver can check
+ * it came from us and wasn't replayed:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * verifySignature does the check on the receiving end (see
+ * `node index.js webhook-receiver` for a local receiver to test against).
+ *
+ * A delivery that fails — a network error, a timeout, or anything but a
+ * 2xx reply — is retried after each of RETRY_DELAYS_MS in turn.
+ */
+
+import crypto from 'crypto';
+import { sleep } from './cancellation.js';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const RETRY_DELAYS_MS = [1000, 5000, 30000, 120000];
+const ATTEMPT_TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * The secret deliveries are signed with, or null when none is set.
+ */
+export function webhookSecret() {
+  return process.env.WEBHOOK_SECRET || null;
+}
+
+/**
+ * What's wrong with a webhook URL, or null if it's usable.
+ */
+export function webhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return `webhookUrl "${url}" isn't a URL.`;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return `webhookUrl must be an http or https URL, got ${parsed.protocol}`;
+  }
+  return null;
+}
+
+/**
+ * The signature header value for a body sent at `timestamp` (unix seconds).
+ */
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Whether a signature header matches the raw body it came with, and was
+ * made within the last few minutes.
+ */
+export function verifySignature(body, header, secret, { now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * POST payload to url, signed, retrying until it's accepted or the retries
+ * run out. onAttempt({ at, status?, error? }) hears about each try.
+ * Resolves to true if it was delivered — it never rejects.
+ */
+export async function deliverWebhook(url, payload, { secret = webhookSecret(), onAttempt } = {}) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 0; attempt <= RETRY_DELAYS_MS.length; attempt++) {
+    if (attempt > 0) await sleep(RETRY_DELAYS_MS[attempt - 1]);
+
+    const result = { at: new Date().toISOString() };
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, secret) },
+        body,
+        signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)
+      });
+      result.status = response.status;
+      if (!response.ok) result.error = `Replied ${response.status} ${response.statusText}`;
+    } catch (err) {
+      result.error = err.cause ? `${err.message}: ${err.cause.message}` : err.message;
+    }
+
+    if (onAttempt) onAttempt(result);
+    if (!result.error) return true;
+    console.log(`  [Webhook] Delivery to ${url} failed (${result.error})${attempt < RETRY_DELAYS_MS.length ? `, retrying in ${RETRY_DELAYS_MS[attempt] / 1000}s` : ', giving up'}.`);
+  }
+
+  return false;
+}
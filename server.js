@@ -1,11 +1,26 @@
 /**
  * Mad Hat Maven Orchestration Engine — Web Server
  *
- * Serves the demo UI and exposes SSE endpoints that run the
- * 4-step pipeline with real-time progress updates.
+ * Serves the demo UI and exposes SSE endpoints that run the pipeline
+ * defined in steps/index.js with real-time progress updates.
  *
- * The pipeline pauses after Step 2 (pain point expansion) to let the user
- * review and edit pain points before generating copy and strategy.
+ * The pipeline pauses at review gates — after the pain point expansion by
+ * default, or after whichever steps the run picks — to let the user edit a
+ * step's output before the remaining steps run. Each review is recorded
+ * (who, what changed, and their comment) on the run's audit trail.
+ * Each run is persisted (lib/run-store.js), so resuming only needs the run
+ * ID and a reloaded page can pick a run back up. Once the copy is written
+ * the team approves, rejects, stars and edits its versions, then finalizes
+ * the run to rebuild everything after the copy from the approved versions.
+ *
+ * Anything that calls the model waits its turn in a run queue (at most
+ * MAX_CONCURRENT_RUNS at once, default 2) and is cancelled — model calls in
+ * flight included — when the browser disconnects or someone calls
+ * POST /api/runs/:id/cancel.
+ *
+ * For other systems there's also a jobs API: POST /api/jobs starts a run
+ * that goes straight through in the background, GET /api/jobs/:id reports
+ * on it, and an optional webhook hears when it's over.
  *
  * Usage: node server.js
  */
@@ -17,14 +32,35 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { analyzeBrief } from './steps/step1-analyze.js';
-import { expandPainPoints } from './steps/step2-painpoints.js';
-import { generateCopy } from './steps/step3-copy.js';
-import { buildStrategy } from './steps/step4-strategy.js';
+import { PIPELINE } from './steps/index.js';
+import { runPipeline, regenerateStep, reviseStep, dependentSteps, renderStep, renderPartial, combineHooks } from './lib/pipeline.js';
+import { toSlug, saveOutput } from './lib/output.js';
+import { validate } from './lib/schema.js';
+import { createRun, getRun, saveRun, runContext, listRuns, summarizeRun, recordingHooks, budgetFor, runUsage } from './lib/run-store.js';
+import { listProfiles, getProfile, saveGuidelines, saveBudget, deleteProfile, currentVersion, resolveGuidelines } from './lib/profile-store.js';
+import { RULES_SCHEMA, fixViolations } from './lib/compliance.js';
+import { selectionProblem, selectVersion, selectionFor, approvedCount, approvedCopy } from './lib/selections.js';
+import { resolvePrompts } from './lib/prompts.js';
+import { modelSettings } from './lib/models.js';
+import { addUsage } from './lib/usage.js';
+import { getProvider } from './lib/providers/index.js';
+import { createRunQueue } from './lib/run-queue.js';
+import { cancelled, isCancelled } from './lib/cancellation.js';
+import { webhookSecret, webhookUrlProblem, deliverWebhook } from './lib/webhooks.js';
+import { defaultGates, gatesProblem, reviewFormat, reviewEntry } from './lib/review.js';
+import { BRIEF_EXTENSIONS, extractBriefText } from './lib/brief-loader.js';
+import { EXPORTERS, availableExports, exportsFor, buildExport, exportFilename } from './lib/exporters/index.js';
+import { CHANNELS, DEFAULT_CHANNELS, channelsFor, channelsProblem } from './steps/channels.js';
+import { LOCALES, localesProblem } from './steps/locales.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DELTA_RENDER_MS = 250;
+
+const runQueue = createRunQueue({ concurrency: Number(process.env.MAX_CONCURRENT_RUNS || 2) });
+// Run ID → AbortController, for every run queued or working
+const inFlight = new Map();
 
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -35,31 +71,20 @@ app.use((req, res, next) => {
   next();
 });
 
-function toSlug(name) {
-  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-}
-
-function todayStamp() {
-  return new Date().toISOString().split('T')[0];
-}
-
+/**
+ * Send one SSE event. A job (POST /api/jobs) has no stream — res is null —
+ * so its events go nowhere.
+ */
 function sendEvent(res, event, data) {
+  if (!res) return;
   res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 /**
- * Phase 1: Run Steps 1-2 (analysis + pain point expansion), then pause.
- * Returns analysis output via SSE so the front-end can display it,
- * then sends a 'pipeline:paused' event with the pain points for user review.
+ * Switch the response to an SSE stream and keep it alive. Returns a function
+ * that stops the heartbeat.
  */
-app.post('/api/run', async (req, res) => {
-  const { clientName, brief, brandGuidelines } = req.body;
-
-  if (!clientName || !brief) {
-    return res.status(400).json({ error: 'clientName and brief are required.' });
-  }
-
-  // SSE headers
+function openEventStream(res) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -72,127 +97,968 @@ app.post('/api/run', async (req, res) => {
   }, 5000);
   res.on('close', () => clearInterval(heartbeat));
 
-  const slug = toSlug(clientName);
+  return () => clearInterval(heartbeat);
+}
 
-  // Save brief to briefs/ folder
-  fs.mkdirSync('briefs', { recursive: true });
-  fs.writeFileSync(path.join('briefs', `${slug}.txt`), brief, 'utf-8');
+/**
+ * Progress hooks that forward each step to the client over SSE. While a
+ * step streams, every chunk goes out as a 'step:delta' event; at most every
+ * DELTA_RENDER_MS one also carries a markdown preview rendered from the
+ * partial JSON. A job has no stream, so it gets no hooks.
+ */
+function streamHooks(res, run) {
+  if (!res) return {};
+  let streamed = { text: '', attempt: 0, renderedAt: 0 };
+
+  return {
+    onStepStart: (step, number) => {
+      streamed = { text: '', attempt: 0, renderedAt: 0 };
+      sendEvent(res, 'step:start', { step: number, id: step.id, label: step.activity });
+      console.log(`  [SSE] Step ${number} start event sent, calling Anthropic...`);
+    },
+    onStepDelta: (step, number, delta, attempt) => {
+      if (attempt !== streamed.attempt) streamed = { text: '', attempt, renderedAt: 0 };
+      streamed.text += delta;
+
+      const event = { step: number, id: step.id, delta, attempt };
+      if (Date.now() - streamed.renderedAt >= DELTA_RENDER_MS) {
+        const markdown = renderPartial(step, streamed.text, runContext(run));
+        if (markdown) {
+          event.markdown = markdown;
+          streamed.renderedAt = Date.now();
+        }
+      }
+      sendEvent(res, 'step:delta', event);
+    },
+    onStepDone: (step, number, output, context, usage, cached) => {
+      console.log(`  [SSE] Step ${number} ${cached ? 'reused from the cache' : 'complete'}, sending result...`);
+      sendEvent(res, 'step:done', {
+        step: number,
+        id: step.id,
+        label: step.label,
+        output,
+        markdown: renderStep(step, context),
+        usage,
+        cached: run.steps[step.id].cached || null,
+        runUsage: run.usage
+      });
+    }
+  };
+}
+
+/**
+ * What the saved document and exports record about the run that made them.
+ */
+function documentMeta(run) {
+  return { version: run.version, guidelinesVersion: run.guidelinesVersion, usage: runUsage(run), reviews: run.reviews || [] };
+}
+
+/**
+ * Ids of the steps a run pauses after for review.
+ */
+function reviewGatesFor(run) {
+  return new Set(run.reviewGates || defaultGates(PIPELINE));
+}
+
+/**
+ * Download links for the ad platform exports that apply to a finished run,
+ * each locale's included.
+ */
+function exportLinks(run) {
+  return exportsFor(availableExports(channelsFor(run.inputs)), runContext(run)).map(({ format, locale }) => ({
+    format,
+    locale,
+    label: locale ? `${EXPORTERS[format].label} — ${LOCALES[locale] ? LOCALES[locale].label : locale}` : EXPORTERS[format].label,
+    url: `/api/runs/${run.id}/export/${format}${locale ? `?locale=${locale}` : ''}`
+  }));
+}
+
+/**
+ * Queue up work that calls the model for a run, telling the client its
+ * place in line while it waits, then call work(signal). The signal aborts
+ * when the client disconnects (if there is one — a job has none) or the
+ * run is cancelled; the returned
+ * promise then rejects with the cancellation (see lib/cancellation.js).
+ * Resolves to whatever work does.
+ */
+async function queueWork(res, run, work) {
+  const controller = new AbortController();
+  inFlight.set(run.id, controller);
+  if (res) {
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort(cancelled('The browser disconnected, so the run was cancelled.'));
+    });
+  }
 
   try {
-    // --- Step 1 ---
-    sendEvent(res, 'step:start', { step: 1, label: 'Analyzing brief...' });
-    console.log('  [SSE] Step 1 start event sent, calling Anthropic...');
-    const analysis = await analyzeBrief(brief, brandGuidelines);
-    console.log('  [SSE] Step 1 complete, sending result...');
-    sendEvent(res, 'step:done', { step: 1, label: 'Brief Analysis', output: analysis });
-
-    // --- Step 2 ---
-    sendEvent(res, 'step:start', { step: 2, label: 'Expanding pain points in consumer voice...' });
-    console.log('  [SSE] Step 2 start event sent, calling Anthropic...');
-    const painPoints = await expandPainPoints(brief, analysis, brandGuidelines);
-    console.log('  [SSE] Step 2 complete, sending result...');
-    sendEvent(res, 'step:done', { step: 2, label: 'Pain Points (Consumer Voice)', output: painPoints });
-
-    // --- Pause: let user review pain points ---
-    sendEvent(res, 'pipeline:paused', { analysis, painPoints });
-    console.log('  [SSE] Pipeline paused for review.');
+    return await runQueue.run(() => work(controller.signal), {
+      signal: controller.signal,
+      onPosition: position => sendEvent(res, 'run:queued', { runId: run.id, position })
+    });
+  } finally {
+    inFlight.delete(run.id);
+  }
+}
+
+/**
+ * Run the pipeline forward from wherever the run left off, streaming
+ * progress, until it pauses at one of the run's review gates (unless
+ * pauseForReview is false), finishes, fails or is cancelled.
+ * The run record is saved at every transition. A run cancelled before it
+ * left the queue goes back to being paused, if it was.
+ */
+async function advanceRun(res, run, { pauseForReview }) {
+  const { status } = run;
+  let started = false;
+  run.status = 'queued';
+  saveRun(run);
+
+  try {
+    await queueWork(res, run, async (signal) => {
+      started = true;
+      run.status = 'running';
+      run.review = null;
+      saveRun(run);
+
+      const { context, pausedAt } = await runPipeline(PIPELINE, runContext(run), {
+        ...combineHooks(recordingHooks(run), streamHooks(res, run)),
+        budget: budgetFor(run),
+        signal,
+        cache: run.cache !== false,
+        reviewGates: pauseForReview ? reviewGatesFor(run) : undefined
+      });
+
+      if (pausedAt) {
+        // --- Pause: let user review the gated step's output as editable text ---
+        run.status = 'paused';
+        run.review = pausedAt;
+        saveRun(run);
+
+        const review = reviewFormat(PIPELINE.find(step => step.id === pausedAt));
+        sendEvent(res, 'pipeline:paused', { runId: run.id, review: pausedAt, editable: review.toText(context[pausedAt], context) });
+        console.log('  [SSE] Pipeline paused for review.');
+      } else {
+        // --- Save output ---
+        run.status = 'done';
+        run.outputPath = saveOutput(PIPELINE, run.clientName, context, documentMeta(run));
+        saveRun(run);
+
+        sendEvent(res, 'pipeline:done', { runId: run.id, outputPath: run.outputPath, exports: exportLinks(run), usage: run.usage });
+        console.log('  [SSE] Pipeline complete, output saved.');
+      }
+    });
   } catch (err) {
+    if (isCancelled(err)) {
+      run.status = !started && status === 'paused' ? 'paused' : 'cancelled';
+      saveRun(run);
+
+      console.log(`  [SSE] Run cancelled: ${err.message}`);
+      try { sendEvent(res, 'pipeline:cancelled', { runId: run.id, status: run.status, message: err.message }); } catch (_) { /* closed */ }
+      return;
+    }
+
+    run.status = 'error';
+    run.error = err.message;
+    saveRun(run);
+
     console.error('  [SSE] Pipeline error:', err.message);
-    try { sendEvent(res, 'pipeline:error', { error: err.message }); } catch (_) { /* closed */ }
+    try { sendEvent(res, 'pipeline:error', { runId: run.id, error: err.message }); } catch (_) { /* closed */ }
+  }
+}
+
+/**
+ * Rework a paused or finished run in place — `revise(context, options)`
+ * does the regenerating, with the runner hooks, budget and signal in
+ * options — then bring the client back to where the run stands: which
+ * steps are now stale, and the review gate or the re-saved document.
+ * If revising fails or is cancelled, the run is left exactly as it was.
+ */
+async function reviseRun(res, run, revise) {
+  const { status, steps } = run;
+  run.status = 'queued';
+  saveRun(run);
+
+  try {
+    await queueWork(res, run, async (signal) => {
+      run.steps = structuredClone(steps);
+      run.status = 'running';
+      saveRun(run);
+
+      const context = runContext(run);
+      await revise(context, { ...combineHooks(recordingHooks(run), streamHooks(res, run)), budget: budgetFor(run), signal });
+
+      run.status = status;
+      if (status === 'done') {
+        run.outputPath = saveOutput(PIPELINE, run.clientName, context, documentMeta(run));
+      }
+      saveRun(run);
+
+      sendEvent(res, 'run:updated', { runId: run.id, stale: staleSteps(run) });
+      if (status === 'paused') {
+        const review = reviewFormat(PIPELINE.find(step => step.id === run.review));
+        sendEvent(res, 'pipeline:paused', { runId: run.id, review: run.review, editable: review.toText(context[run.review], context) });
+      } else {
+        sendEvent(res, 'pipeline:done', { runId: run.id, outputPath: run.outputPath, exports: exportLinks(run), usage: run.usage });
+      }
+    });
+  } catch (err) {
+    run.status = status;
+    run.steps = steps;
+    saveRun(run);
+
+    if (isCancelled(err)) {
+      console.log(`  [SSE] Revision cancelled: ${err.message}`);
+      try { sendEvent(res, 'pipeline:cancelled', { runId: run.id, status, message: err.message }); } catch (_) { /* closed */ }
+      return;
+    }
+
+    console.error('  [SSE] Revision error:', err.message);
+    try { sendEvent(res, 'pipeline:error', { runId: run.id, error: err.message }); } catch (_) { /* closed */ }
+  }
+}
+
+/**
+ * Ids of the steps whose output was built on something since regenerated.
+ */
+function staleSteps(run) {
+  return PIPELINE.filter(step => run.steps[step.id] && run.steps[step.id].stale).map(step => step.id);
+}
+
+/**
+ * The step list the front-end builds its cards from, with how each step is
+ * reviewed and which are gated by default.
+ */
+app.get('/api/pipeline', (req, res) => {
+  res.json({
+    steps: PIPELINE.map((step) => {
+      const { title, hint } = reviewFormat(step);
+      return {
+        id: step.id,
+        label: step.label,
+        review: { title, hint },
+        variants: step.variants ? step.variants.labels : null,
+        hero: !!step.hero,
+        optional: !!step.when
+      };
+    }),
+    reviewGates: defaultGates(PIPELINE),
+    channels: Object.entries(CHANNELS).map(([id, { label, copyLabel, count }]) => ({ id, label, copyLabel, count })),
+    defaultChannels: DEFAULT_CHANNELS,
+    locales: Object.entries(LOCALES).map(([id, { label }]) => ({ id, label }))
+  });
+});
+
+/**
+ * The prompt templates a new run would use — for one client with ?client=,
+ * otherwise the agency's — with each one's version stamp and source
+ * ('built-in', 'agency' or 'client').
+ */
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({ prompts: resolvePrompts(req.query.client) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
+
+/**
+ * Extract text from an uploaded brief file (.txt, .md, .rtf, .docx, .pdf).
+ * The raw file is the request body; ?filename= tells us its format. The
+ * front-end drops the result into the brief field for review before running.
+ */
+app.post('/api/briefs/extract', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  const { filename } = req.query;
+
+  if (!filename || !BRIEF_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+    return res.status(400).json({ error: `Upload a brief as one of: ${BRIEF_EXTENSIONS.join(', ')}.` });
+  }
+
+  try {
+    const text = await extractBriefText(req.body, filename);
+    if (!text) {
+      return res.status(422).json({ error: `No text found in ${filename}. Scanned PDFs need to be run through OCR first.` });
+    }
+    res.json({ filename, text });
+  } catch (err) {
+    console.error('  [Upload] Brief extraction failed:', err.message);
+    res.status(422).json({ error: `Couldn't read ${filename}: ${err.message}` });
+  }
+});
+
+/**
+ * Client profiles — saved, versioned brand guidelines (lib/profile-store.js).
+ * :client is a client name or slug.
+ */
+app.get('/api/profiles', (req, res) => {
+  res.json({
+    profiles: listProfiles().map(profile => ({
+      clientName: profile.clientName,
+      clientSlug: profile.clientSlug,
+      version: currentVersion(profile) ? currentVersion(profile).version : null,
+      budget: profile.budget,
+      updatedAt: profile.updatedAt
+    }))
+  });
+});
+
+app.get('/api/profiles/:client', (req, res) => {
+  const profile = getProfile(req.params.client);
+  if (!profile) {
+    return res.status(404).json({ error: 'No profile for this client.' });
+  }
+
+  res.json(profile);
+});
+
+/**
+ * Save a client's guidelines text and/or compliance rules — creating the
+ * profile, or adding a version when either has changed — and/or their
+ * budget (a dollar cap across all their runs; null removes it).
+ */
+app.put('/api/profiles/:client', (req, res) => {
+  const { clientName, guidelines, rules, budget } = req.body;
+
+  if (guidelines === undefined && rules === undefined && budget === undefined) {
+    return res.status(400).json({ error: 'Send guidelines, rules, budget, or any of them together.' });
+  }
+  if (budget !== undefined && budget !== null && !(typeof budget === 'number' && budget > 0)) {
+    return res.status(400).json({ error: 'budget must be a dollar amount above zero, or null to remove it.' });
+  }
+  if (guidelines !== undefined && typeof guidelines !== 'string') {
+    return res.status(400).json({ error: 'guidelines must be text.' });
+  }
+  const problem = rules !== undefined && validate(RULES_SCHEMA, rules);
+  if (problem) {
+    return res.status(400).json({ error: `Invalid rules:\n${problem}` });
+  }
+
+  const existing = getProfile(req.params.client);
+  const name = clientName || (existing && existing.clientName) || req.params.client;
+  let profile = existing;
+  if (guidelines !== undefined || rules !== undefined) {
+    profile = saveGuidelines(name, { guidelines: guidelines && guidelines.trim(), rules });
+  }
+  if (budget !== undefined) profile = saveBudget(name, budget);
+
+  res.json(profile);
+});
 
-  clearInterval(heartbeat);
+app.delete('/api/profiles/:client', (req, res) => {
+  if (!deleteProfile(req.params.client)) {
+    return res.status(404).json({ error: 'No profile for this client.' });
+  }
+
+  res.status(204).end();
+});
+
+/**
+ * What's wrong with the body of a request to start a run, or null if
+ * nothing is.
+ */
+function newRunProblem({ clientName, brief, brandRules, budget, channels = DEFAULT_CHANNELS, locales = [], reviewGates, cache }) {
+  if (!clientName || !brief) {
+    return 'clientName and brief are required.';
+  }
+  const problem = brandRules !== undefined && validate(RULES_SCHEMA, brandRules);
+  if (problem) {
+    return `Invalid brandRules:\n${problem}`;
+  }
+  if (budget !== undefined && !(typeof budget === 'number' && budget > 0)) {
+    return 'budget must be a dollar amount above zero.';
+  }
+  if (cache !== undefined && typeof cache !== 'boolean') {
+    return 'cache must be true or false.';
+  }
+  return channelsProblem(channels) || localesProblem(locales) || (reviewGates !== undefined && gatesProblem(PIPELINE, reviewGates)) || null;
+}
+
+/**
+ * Save the brief to briefs/ and create the run record for a new run.
+ */
+function startRun({ clientName, brief, brandGuidelines, brandRules, budget, channels = DEFAULT_CHANNELS, locales = [], reviewGates, cache }, prompts) {
+  fs.mkdirSync('briefs', { recursive: true });
+  fs.writeFileSync(path.join('briefs', `${toSlug(clientName)}.txt`), brief, 'utf-8');
+
+  return createRun({
+    clientName,
+    brief,
+    budget,
+    channels,
+    locales,
+    prompts,
+    reviewGates,
+    cache,
+    ...resolveGuidelines(clientName, { guidelines: brandGuidelines, rules: brandRules })
+  });
+}
+
+/**
+ * Phase 1: Create a run and execute steps up to its first review gate, then
+ * pause. `reviewGates` lists the step ids to pause after (default: the pain
+ * point expansion; [] runs straight through). The first event carries the
+ * run ID; each step's output streams via SSE so the front-end can display
+ * it, then a 'pipeline:paused' event carries the reviewed step as editable
+ * text. A step whose result is in the step cache is reused rather than
+ * rerun (its 'step:done' event says so in `cached`) unless `cache` is false.
+ * `locales` lists the markets to transcreate the copy for (steps/locales.js;
+ * default: none, so the transcreation step is skipped).
+ * Guidelines (and compliance rules) sent with the run become the client's
+ * next profile version; without them, the profile's current ones are used.
+ */
+app.post('/api/run', async (req, res) => {
+  const problem = newRunProblem(req.body);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  let prompts;
+  try {
+    prompts = resolvePrompts(req.body.clientName);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  const closeStream = openEventStream(res);
+  const run = startRun(req.body, prompts);
+  sendEvent(res, 'run:created', { runId: run.id });
+
+  await advanceRun(res, run, { pauseForReview: true });
+
+  closeStream();
   res.end();
 });
 
 /**
- * Phase 2: Resume with (possibly edited) pain points, run Steps 3-4.
- * Accepts the full context from Phase 1 plus user-edited pain points.
+ * Phase 2: Resume a paused run with the reviewer's (possibly edited) text
+ * and run the remaining steps, up to the next review gate if there is one.
+ * `reviewer` (who's confirming) is required and `comment` optional; both go
+ * on the audit trail with a diff of the edit, and a 'review:recorded' event
+ * carries the entry and the step re-rendered. Everything else comes from
+ * the run record.
  */
 app.post('/api/resume', async (req, res) => {
-  const { clientName, brief, analysis, painPoints, brandGuidelines } = req.body;
+  const { runId, edited, reviewer, comment } = req.body;
+  const run = runId && getRun(runId);
 
-  if (!clientName || !brief || !analysis || !painPoints) {
-    return res.status(400).json({ error: 'Missing required context to resume pipeline.' });
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'paused') {
+    return res.status(409).json({ error: `Run is ${run.status}, not awaiting review.` });
+  }
+  if (!reviewer || typeof reviewer !== 'string' || !reviewer.trim()) {
+    return res.status(400).json({ error: 'reviewer is required — say who reviewed this step.' });
   }
 
-  // SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders();
+  const step = PIPELINE.find(s => s.id === run.review);
+  const review = reviewFormat(step);
+  const context = runContext(run);
+  const shown = review.toText(context[step.id], context);
+  if (edited !== undefined) {
+    let output;
+    try {
+      output = review.fromText(edited, context);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid ${step.label} output: ${err.message}` });
+    }
 
-  // Keep SSE alive through Railway/proxy idle timeouts (every 5s)
-  const heartbeat = setInterval(() => {
-    try { res.write(': heartbeat\n\n'); } catch (_) { /* connection closed */ }
-  }, 5000);
-  res.on('close', () => clearInterval(heartbeat));
+    if (review.toText(output, context) !== shown) {
+      // Checked and refined again like a model answer: the limit report or
+      // compliance verdicts of what's stored no longer hold for the edit
+      let revision;
+      try {
+        revision = reviseStep(PIPELINE, step.id, context, output);
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid ${step.label} output:\n${err.message}` });
+      }
+      let revised;
+      try {
+        revised = await revision;
+      } catch (err) {
+        return res.status(500).json({ error: `Couldn't check the edited ${step.label}: ${err.message}` });
+      }
+
+      const record = run.steps[step.id];
+      record.original = record.output;
+      record.output = revised.result;
+      record.usage = addUsage(record.usage, revised.usage);
+      run.usage = addUsage(run.usage, revised.usage);
+      context[step.id] = revised.result;
+    }
+  }
+
+  const entry = reviewEntry(step, {
+    reviewer: reviewer.trim(),
+    comment: typeof comment === 'string' ? comment.trim() : null,
+    shown,
+    confirmed: review.toText(context[step.id], context)
+  });
+  run.reviews = [...(run.reviews || []), entry];
+
+  const closeStream = openEventStream(res);
+  sendEvent(res, 'review:recorded', { runId: run.id, review: entry, output: context[step.id], markdown: renderStep(step, context) });
 
-  const slug = toSlug(clientName);
+  await advanceRun(res, run, { pauseForReview: true });
 
+  closeStream();
+  res.end();
+});
+
+/**
+ * Where a job stands, with its outputs once they exist and absolute links
+ * to the finished document and exports.
+ */
+function jobSummary(run) {
+  const context = runContext(run);
+  const outputs = Object.fromEntries(
+    PIPELINE.filter(step => context[step.id] !== undefined).map(step => [step.id, context[step.id]])
+  );
+  const done = run.status === 'done';
+
+  return {
+    id: run.id,
+    status: run.status,
+    clientName: run.clientName,
+    version: run.version,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    usage: run.usage,
+    error: run.error,
+    url: `${run.job.baseUrl}/api/jobs/${run.id}`,
+    outputs,
+    document: done ? `${run.job.baseUrl}/api/runs/${run.id}/document` : null,
+    exports: done ? exportLinks(run).map(link => ({ ...link, url: run.job.baseUrl + link.url })) : [],
+    webhook: run.job.webhook
+  };
+}
+
+/**
+ * Tell a finished job's webhook how it went, recording each attempt on the
+ * run as it's made. The record is re-read before each write, since the run
+ * may have been regenerated while a delivery was being retried.
+ */
+async function notifyJob(runId) {
+  const run = getRun(runId);
+  if (!run.job.webhookUrl) return;
+
+  const updateWebhook = (update) => {
+    const latest = getRun(runId);
+    update(latest.job.webhook);
+    saveRun(latest);
+  };
+  const { webhook, ...job } = jobSummary(run);
+  const event = { done: 'job.completed', error: 'job.failed', cancelled: 'job.cancelled' }[run.status];
+
+  const delivered = await deliverWebhook(run.job.webhookUrl, { event, job }, {
+    onAttempt: attempt => updateWebhook(state => state.attempts.push(attempt))
+  });
+  updateWebhook(state => { state.status = delivered ? 'delivered' : 'failed'; });
+}
+
+/**
+ * Run a job through, then tell its webhook. advanceRun records pipeline
+ * errors on the run itself; anything that escapes it (a failed save, say)
+ * still fails the job, and the webhook still hears about it.
+ */
+async function runJob(run) {
   try {
-    // --- Step 3 ---
-    sendEvent(res, 'step:start', { step: 3, label: 'Generating ad copy variations...' });
-    console.log('  [SSE] Step 3 start event sent, calling Anthropic...');
-    const copy = await generateCopy(brief, analysis, painPoints, brandGuidelines);
-    console.log('  [SSE] Step 3 complete, sending result...');
-    sendEvent(res, 'step:done', { step: 3, label: 'Ad Copy Variations', output: copy });
+    await advanceRun(null, run, { pauseForReview: false });
+  } catch (err) {
+    console.error(`  [Jobs] Job ${run.id} failed: ${err.message}`);
+    run.status = 'error';
+    run.error = err.message;
+    saveRun(run);
+  }
 
-    // --- Step 4 ---
-    sendEvent(res, 'step:start', { step: 4, label: 'Building strategy summary...' });
-    console.log('  [SSE] Step 4 start event sent, calling Anthropic...');
-    const strategy = await buildStrategy(brief, analysis, painPoints, copy, brandGuidelines);
-    console.log('  [SSE] Step 4 complete, sending result...');
-    sendEvent(res, 'step:done', { step: 4, label: 'Strategy Summary', output: strategy });
+  try {
+    await notifyJob(run.id);
+  } catch (err) {
+    console.error(`  [Jobs] Webhook for job ${run.id} failed: ${err.message}`);
+    const latest = getRun(run.id);
+    if (latest.job.webhook) {
+      latest.job.webhook.status = 'failed';
+      saveRun(latest);
+    }
+  }
+}
 
-    // --- Save output ---
-    const outputPath = path.join('output', `${todayStamp()}-${slug}.md`);
-    const finalOutput = `# Mad Hat Maven — Campaign Brief
-**Client:** ${clientName}
-**Date:** ${todayStamp()}
+/**
+ * Start a run in the background and answer straight away with its job ID
+ * (the run ID). The job runs through without pausing for review; poll
+ * GET /api/jobs/:id for where it stands, or pass `webhookUrl` to be sent a
+ * signed payload (lib/webhooks.js) when it completes, fails or is
+ * cancelled (POST /api/runs/:id/cancel). Takes the same fields as /api/run.
+ */
+app.post('/api/jobs', (req, res) => {
+  const { webhookUrl } = req.body;
+  const problem = newRunProblem(req.body) || (webhookUrl !== undefined && webhookUrlProblem(webhookUrl));
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (webhookUrl && !webhookSecret()) {
+    return res.status(400).json({ error: 'Webhooks are signed with WEBHOOK_SECRET, which isn\'t set on this server.' });
+  }
 
----
+  let prompts;
+  try {
+    prompts = resolvePrompts(req.body.clientName);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  const run = startRun(req.body, prompts);
+  run.job = {
+    webhookUrl: webhookUrl || null,
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+    webhook: webhookUrl ? { status: 'pending', attempts: [] } : null
+  };
+  saveRun(run);
+
+  runJob(run).catch(err => console.error(`  [Jobs] Job ${run.id} couldn't be recorded: ${err.message}`));
+  console.log(`  [Jobs] Job ${run.id} started for ${run.clientName}.`);
+
+  res.status(202).location(`/api/jobs/${run.id}`).json({ jobId: run.id, ...jobSummary(run) });
+});
+
+/**
+ * A job's status and outputs, and how its webhook delivery went.
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run || !run.job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
 
-## Strategy Summary
+  res.json(jobSummary(run));
+});
 
-${strategy}
+/**
+ * Run history, newest first — every run, or one client's with ?client=.
+ */
+app.get('/api/runs', (req, res) => {
+  res.json({ runs: listRuns({ client: req.query.client }).map(summarizeRun) });
+});
+
+/**
+ * Everything the UI needs to rehydrate a run after a reload: status, each
+ * completed step (structured and rendered), and the review text if paused.
+ */
+app.get('/api/runs/:id', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
 
----
+  const context = runContext(run);
+  const steps = PIPELINE
+    .filter(step => context[step.id] !== undefined)
+    .map(step => ({
+      id: step.id,
+      label: step.label,
+      model: run.steps[step.id].model,
+      models: run.steps[step.id].models,
+      durationMs: run.steps[step.id].durationMs,
+      usage: run.steps[step.id].usage,
+      cached: run.steps[step.id].cached || null,
+      stale: !!run.steps[step.id].stale,
+      output: context[step.id],
+      markdown: renderStep(step, context)
+    }));
+  const reviewStep = run.status === 'paused' && PIPELINE.find(step => step.id === run.review);
+  const review = reviewStep && reviewFormat(reviewStep);
 
-## Brief Analysis
+  res.json({
+    id: run.id,
+    clientName: run.clientName,
+    version: run.version,
+    guidelinesVersion: run.guidelinesVersion,
+    budget: run.budget,
+    usage: run.usage,
+    status: run.status,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    inputs: run.inputs,
+    steps,
+    reviewGates: [...reviewGatesFor(run)],
+    review: reviewStep ? { step: reviewStep.id, editable: review.toText(context[reviewStep.id], context) } : null,
+    reviews: run.reviews || [],
+    finalizedAt: run.finalizedAt || null,
+    outputPath: run.outputPath,
+    exports: run.status === 'done' ? exportLinks(run) : [],
+    error: run.error
+  });
+});
 
-${analysis}
+/**
+ * Regenerate one completed step of a paused or finished run — or, with
+ * `variant: { painPointId, variant, index }`, one variation within it — optionally
+ * steered by a `note`. Every later step built on it is marked stale rather
+ * than rerun; POST /refresh brings those up to date.
+ */
+app.post('/api/runs/:id/regenerate', async (req, res) => {
+  const { step: stepId, variant, note } = req.body;
+  const run = getRun(req.params.id);
 
----
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'done' && run.status !== 'paused') {
+    return res.status(409).json({ error: `Run is ${run.status}; regenerate once it has paused or finished.` });
+  }
 
-## Pain Points (Consumer Voice)
+  const step = PIPELINE.find(s => s.id === stepId);
+  if (!step || !run.steps[step.id] || run.steps[step.id].output === undefined) {
+    return res.status(400).json({ error: `Step "${stepId}" hasn't run yet — there's nothing to regenerate.` });
+  }
+  if (variant && !(step.variants && Object.hasOwn(step.variants.labels, variant.variant))) {
+    return res.status(400).json({ error: `${step.label} has no "${variant.variant}" variation to regenerate.` });
+  }
+  if (variant && variant.index !== undefined && !(Number.isInteger(variant.index) && variant.index >= 0)) {
+    return res.status(400).json({ error: 'variant.index must be a whole number from 0.' });
+  }
 
-${painPoints}
+  const closeStream = openEventStream(res);
 
----
+  await reviseRun(res, run, async (context, options) => {
+    await regenerateStep(PIPELINE, step.id, context, { ...options, variant, note: note && note.trim() });
+    for (const id of dependentSteps(PIPELINE, step.id)) {
+      if (run.steps[id] && run.steps[id].output !== undefined) run.steps[id].stale = true;
+    }
+  });
 
-## Ad Copy Variations
+  closeStream();
+  res.end();
+});
 
-${copy}
-`;
+/**
+ * Rerun every stale step, in pipeline order, against the current output
+ * of the steps they build on.
+ */
+app.post('/api/runs/:id/refresh', async (req, res) => {
+  const run = getRun(req.params.id);
 
-    fs.mkdirSync('output', { recursive: true });
-    fs.writeFileSync(outputPath, finalOutput, 'utf-8');
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'done' && run.status !== 'paused') {
+    return res.status(409).json({ error: `Run is ${run.status}; refresh once it has paused or finished.` });
+  }
 
-    sendEvent(res, 'pipeline:done', { outputPath });
-    console.log('  [SSE] Pipeline complete, output saved.');
-  } catch (err) {
-    console.error('  [SSE] Pipeline error:', err.message);
-    try { sendEvent(res, 'pipeline:error', { error: err.message }); } catch (_) { /* closed */ }
+  const stale = staleSteps(run);
+  if (stale.length === 0) {
+    return res.status(409).json({ error: 'Nothing is stale on this run.' });
   }
 
-  clearInterval(heartbeat);
+  const closeStream = openEventStream(res);
+
+  await reviseRun(res, run, async (context, options) => {
+    for (const id of stale) delete context[id];
+    await runPipeline(PIPELINE, context, { ...options, only: new Set(stale), cache: run.cache !== false });
+  });
+
+  closeStream();
   res.end();
 });
 
-app.listen(PORT, () => {
-  console.log(`\nMad Hat Maven Orchestration Engine`);
-  console.log(`Server running at http://localhost:${PORT}`);
-  console.log(`API key: ${process.env.ANTHROPIC_API_KEY ? '✓ detected' : '✗ MISSING — set ANTHROPIC_API_KEY'}\n`);
+/**
+ * Auto-fix: rewrite every variation the compliance check failed, and the
+ * strategy if it failed, steered by their violations, then rerun the check
+ * on them (see fixViolations).
+ */
+app.post('/api/runs/:id/compliance/fix', async (req, res) => {
+  const run = getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'done') {
+    return res.status(409).json({ error: `Run is ${run.status}; fix compliance once it has finished.` });
+  }
+
+  const report = run.steps.compliance && run.steps.compliance.output;
+  if (!report || report.passed) {
+    return res.status(409).json({ error: report ? 'The copy and strategy already pass compliance.' : 'This run has no compliance report.' });
+  }
+
+  const closeStream = openEventStream(res);
+
+  await reviseRun(res, run, (context, options) => fixViolations(PIPELINE, context, options));
+
+  closeStream();
+  res.end();
+});
+
+/**
+ * Record the team's verdict on one version of the copy — body
+ * `{ painPointId, variant, index, status?, starred?, item? }`: approve or
+ * reject it (status null undoes that), star it, or replace its text with
+ * an edited `item`. An edit marks everything built on the copy stale.
+ * Answers with the copy as it now stands.
+ */
+app.post('/api/runs/:id/selections', (req, res) => {
+  const { painPointId, variant, index, status, starred, item } = req.body;
+  const run = getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'done' && run.status !== 'paused') {
+    return res.status(409).json({ error: `Run is ${run.status}; pick copy once it has paused or finished.` });
+  }
+  if (run.status === 'paused' && run.review === 'copy') {
+    return res.status(409).json({ error: 'The copy is awaiting review — edit it there, then pick versions once the run continues.' });
+  }
+
+  const record = run.steps.copy;
+  if (!record || record.output === undefined) {
+    return res.status(409).json({ error: "This run's copy hasn't been written yet." });
+  }
+
+  const problem = selectionProblem(record.output, { painPointId, variant, index, status, starred, item });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const version = { painPointId, variant, index };
+  const output = selectVersion(record.output, version, { status, starred, item });
+  if (selectionFor(output, version).edited && !selectionFor(record.output, version).edited) {
+    record.original = record.original || record.output;
+  }
+  if (output.variations !== record.output.variations) {
+    for (const id of dependentSteps(PIPELINE, 'copy')) {
+      if (run.steps[id] && run.steps[id].output !== undefined) run.steps[id].stale = true;
+    }
+  }
+  record.output = output;
+
+  const context = runContext(run);
+  if (run.status === 'done') {
+    run.outputPath = saveOutput(PIPELINE, run.clientName, context, documentMeta(run));
+  }
+  saveRun(run);
+
+  res.json({
+    runId: run.id,
+    selection: selectionFor(output, version),
+    output,
+    markdown: renderStep(PIPELINE.find(step => step.id === 'copy'), context),
+    stale: staleSteps(run),
+    outputPath: run.outputPath
+  });
+});
+
+/**
+ * Finalize a finished run's copy: keep only the approved versions and
+ * rebuild the strategy, the compliance check, the transcreations — and so
+ * the saved document and exports — from them. The copy as the model wrote
+ * it is kept as the step's `original`.
+ */
+app.post('/api/runs/:id/finalize', async (req, res) => {
+  const run = getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (run.status !== 'done') {
+    return res.status(409).json({ error: `Run is ${run.status}; finalize once it has finished.` });
+  }
+
+  const record = run.steps.copy;
+  if (!record || record.output === undefined) {
+    return res.status(409).json({ error: 'This run has no copy to finalize.' });
+  }
+  if (approvedCount(record.output) === 0) {
+    return res.status(409).json({ error: 'No copy has been approved yet — approve at least one version to finalize.' });
+  }
+
+  const closeStream = openEventStream(res);
+
+  await reviseRun(res, run, async (context, options) => {
+    const copyStep = PIPELINE.find(step => step.id === 'copy');
+    context.copy = approvedCopy(context.copy, channelsFor(context));
+    run.steps.copy.original = run.steps.copy.original || run.steps.copy.output;
+    run.steps.copy.output = context.copy;
+    sendEvent(res, 'copy:finalized', { runId: run.id, output: context.copy, markdown: renderStep(copyStep, context) });
+
+    const downstream = dependentSteps(PIPELINE, 'copy');
+    for (const id of downstream) delete context[id];
+    await runPipeline(PIPELINE, context, { ...options, only: new Set(downstream), cache: run.cache !== false });
+    run.finalizedAt = new Date().toISOString();
+  });
+
+  closeStream();
+  res.end();
+});
+
+/**
+ * Cancel whatever a run is doing — waiting in the queue, or working, in
+ * which case the model calls in flight are aborted. The stream that
+ * started it ends with a 'pipeline:cancelled' event.
+ */
+app.post('/api/runs/:id/cancel', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+
+  const controller = inFlight.get(run.id);
+  if (!controller) {
+    return res.status(409).json({ error: `Run is ${run.status}; there's nothing to cancel.` });
+  }
+
+  controller.abort(cancelled('Cancelled on request.'));
+  res.status(202).json({ runId: run.id, cancelling: true });
+});
+
+/**
+ * Re-download a finished run's saved campaign document.
+ */
+app.get('/api/runs/:id/document', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run || !run.outputPath || !fs.existsSync(run.outputPath)) {
+    return res.status(404).json({ error: 'No saved document for this run.' });
+  }
+
+  res.download(path.resolve(run.outputPath));
+});
+
+/**
+ * Download one ad platform export (see lib/exporters) for a run — with
+ * ?locale=, built from that locale's transcreated copy.
+ */
+app.get('/api/runs/:id/export/:format', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
+  if (!Object.hasOwn(EXPORTERS, req.params.format)) {
+    return res.status(404).json({ error: `Unknown export "${req.params.format}".` });
+  }
+  const { locale } = req.query;
+  if (locale !== undefined && !Object.hasOwn(LOCALES, locale)) {
+    return res.status(404).json({ error: `Unknown locale "${locale}".` });
+  }
+
+  try {
+    const body = buildExport(req.params.format, run.clientName, runContext(run), documentMeta(run), locale);
+    res.attachment(exportFilename(run.clientName, req.params.format, run.version, locale));
+    res.type(EXPORTERS[req.params.format].contentType);
+    res.send(body);
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
 });
+
+// Listen when started as `node server.js`; the tests import the app
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`\nMad Hat Maven Orchestration Engine`);
+    console.log(`Server running at http://localhost:${PORT}`);
+    console.log(`LLM provider: ${getProvider().name}`);
+    console.log(`Run queue: up to ${runQueue.concurrency} at once`);
+    console.log(`Models: ${PIPELINE.map(step => `${step.id} ${modelSettings(step).model}`).join(', ')}`);
+    console.log(`API key: ${process.env.ANTHROPIC_API_KEY ? '✓ detected' : '✗ MISSING — set ANTHROPIC_API_KEY'}\n`);
+  });
+}
+
+export { app };
@@ -0,0 +1,194 @@
+/**
+ * Channel Registry
+ *
+ * The channels Step 3 can write copy for. A run picks which ones to
+ * generate (DEFAULT_CHANNELS when it doesn't say); Step 4 ranks the ones
+ * it used. Each channel is:
+ *
+ *   label        — the channel's name ("LinkedIn"), as Step 4 ranks it
+ *   copyLabel    — what one piece of its copy is called ("LinkedIn Post")
+ *   instructions — how to write it, as given to the model (its limits are
+ *                  added, see channelInstructions)
+ *   limit        — max characters, for channels whose copy is one piece of text
+ *   fields       — { field: max characters or null } for channels whose copy
+ *                  has parts (a search ad's headline and description)
+ *   count        — how many distinct versions to write per pain point
+ *
+ * In the copy output each channel's key holds a list of `count` versions —
+ * strings, or objects with the channel's fields.
+ */
+
+export const CHANNELS = {
+  social: {
+    label: 'Social',
+    copyLabel: 'Social',
+    instructions: 'Short, punchy, scroll-stopping. Fits a caption or card. Think: the thing that makes someone stop mid-scroll and screenshot it.',
+    count: 1
+  },
+  search: {
+    label: 'Search',
+    copyLabel: 'Search',
+    instructions: 'Intent-driven, benefit-forward. Write a headline + description. This is for someone actively looking for a solution.',
+    fields: { headline: 30, description: 90 },
+    count: 1
+  },
+  video: {
+    label: 'Video',
+    copyLabel: 'Video Script Opener',
+    instructions: "The first 5 seconds of a video ad. Hook the viewer hard enough that they don't skip. Write it as a spoken line or scene direction.",
+    count: 1
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    copyLabel: 'LinkedIn Post',
+    instructions: "A feed post for professionals: an opening line that earns the \"see more\" click, one sharp insight, a soft call to action. Sounds like a person with an opinion, not a press release.",
+    limit: 700,
+    count: 1
+  },
+  email: {
+    label: 'Email',
+    copyLabel: 'Email Subject + Preheader',
+    instructions: 'A subject line and the preheader shown after it in the inbox. The pair should make someone open the email without resorting to clickbait — the preheader adds to the subject, never repeats it.',
+    fields: { subject: 50, preheader: 90 },
+    count: 2
+  },
+  display: {
+    label: 'Display',
+    copyLabel: 'Display Banner Headline',
+    instructions: 'The headline on a display banner. It has to land in a glance, next to whatever else is on the page.',
+    limit: 40,
+    count: 3
+  },
+  tiktok: {
+    label: 'TikTok',
+    copyLabel: 'TikTok Hook',
+    instructions: 'The first line said or shown on screen in a TikTok. Native and lo-fi — a creator talking to camera, not an ad. It has to earn the next three seconds.',
+    limit: 150,
+    count: 2
+  },
+  sms: {
+    label: 'SMS',
+    copyLabel: 'SMS',
+    instructions: 'One text message to someone who opted in — a single SMS segment. Plain, friendly, one clear action — put [link] where the link goes.',
+    limit: 160,
+    count: 1
+  }
+};
+
+export const DEFAULT_CHANNELS = ['social', 'search', 'video'];
+
+/**
+ * The channels a run generates — its own choice, or the defaults.
+ */
+export function channelsFor(context) {
+  return context.channels || DEFAULT_CHANNELS;
+}
+
+/**
+ * Parse a channel list like "social,linkedin,sms" or "all".
+ */
+export function selectChannels(spec) {
+  if (spec === 'all') return Object.keys(CHANNELS);
+
+  const channels = spec.split(',').map(c => c.trim()).filter(Boolean);
+  const problem = channelsProblem(channels);
+  if (problem) throw new Error(problem);
+  return channels;
+}
+
+/**
+ * What's wrong with a requested channel list, or null if it's usable.
+ */
+export function channelsProblem(channels) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return `Pick at least one channel: ${Object.keys(CHANNELS).join(', ')}.`;
+  }
+  const unknown = channels.find(channel => !Object.hasOwn(CHANNELS, channel));
+  if (unknown) {
+    return `Unknown channel "${unknown}" — expected any of ${Object.keys(CHANNELS).join(', ')}.`;
+  }
+  if (new Set(channels).size !== channels.length) {
+    return 'Each channel can only be picked once.';
+  }
+  return null;
+}
+
+/**
+ * How to write one version of a channel's copy, as given to the model: its
+ * instructions followed by its limits.
+ */
+export function channelInstructions(channel) {
+  const { instructions, limit, fields } = CHANNELS[channel];
+  const limits = fields
+    ? Object.entries(fields).filter(([, max]) => max).map(([field, max]) => `${field} max ${max} chars`)
+    : limit ? [`max ${limit} chars`] : [];
+
+  return limits.length ? `${instructions} Limits: ${limits.join(', ')} — these are hard limits, count them.` : instructions;
+}
+
+/**
+ * JSON schema for one version of a channel's copy.
+ */
+export function itemSchema(channel) {
+  const { fields } = CHANNELS[channel];
+  if (!fields) return { type: 'string', minLength: 1 };
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.keys(fields).map(field => [field, { type: 'string', minLength: 1 }])),
+    required: Object.keys(fields),
+    additionalProperties: false
+  };
+}
+
+/**
+ * A pain point's versions of one channel's copy — none when the run didn't
+ * write for that channel.
+ */
+export function channelItems(variation, channel) {
+  return variation[channel] || [];
+}
+
+/**
+ * Every limited field of one version with its length and limit:
+ * [{ field, length, limit }] — field is null for single-text channels.
+ */
+export function measureItem(channel, item) {
+  const { limit, fields } = CHANNELS[channel];
+  if (fields) {
+    return Object.entries(fields)
+      .filter(([, max]) => max)
+      .map(([field, max]) => ({ field, length: item[field].length, limit: max }));
+  }
+  return limit ? [{ field: null, length: item.length, limit }] : [];
+}
+
+/**
+ * The measurements of a version that are over their limit.
+ */
+export function limitViolations(channel, item) {
+  return measureItem(channel, item).filter(({ length, limit }) => length > limit);
+}
+
+/**
+ * Whether a channel has any length limits to check.
+ */
+export function hasLimits(channel) {
+  const { limit, fields } = CHANNELS[channel];
+  return !!limit || (!!fields && Object.values(fields).some(Boolean));
+}
+
+/**
+ * Plain text of one version — structured copy's fields one per line.
+ */
+export function itemText(channel, item) {
+  return CHANNELS[channel].fields ? Object.keys(CHANNELS[channel].fields).map(field => item[field]).join('\n') : item;
+}
+
+/**
+ * How one version is named in reports: "Email Subject + Preheader 2", or
+ * just the copy label when the channel has one version.
+ */
+export function itemLabel(channel, index, total = CHANNELS[channel].count) {
+  return total > 1 ? `${CHANNELS[channel].copyLabel} ${index + 1}` : CHANNELS[channel].copyLabel;
+}
@@ -1,45 +1,128 @@
 /**
- * Shared Anthropic client with automatic retry on overloaded (529) errors.
+ * Shared Claude client with automatic retry on overloaded (529) errors.
  *
- * The SDK already retries 529/5xx errors twice by default. We extend this
- * with maxRetries: 4 (= 5 total attempts with longer backoff) and add
- * an additional application-level retry loop on top.
+ * Requests go through the active provider (lib/providers) — the live
+ * Anthropic API by default, or recorded fixtures. The Anthropic provider
+ * already retries 529/5xx errors inside the SDK; we add an additional
+ * application-level retry loop on top.
  *
- * If the API is still overloaded after all retries, we surface a clean
- * human-readable error instead of raw JSON.
+ * If the API is still overloaded after all retries, callClaude moves on to
+ * the next model in `fallbacks` (see lib/models.js) and retries there; once
+ * the whole chain is exhausted we surface a clean human-readable error
+ * instead of raw JSON. Usage is recorded against whichever model answered.
+ *
+ * callClaudeJSON layers structured output on top: it asks for JSON matching
+ * a schema, validates the reply, and re-prompts with the validation errors
+ * when the model misses.
+ *
+ * Every call's token usage is reported to lib/usage.js, which attributes it
+ * to the step (or other metered work) that made it.
+ *
+ * Pass onDelta to stream: it receives each text chunk as it arrives. For
+ * callClaudeJSON it also gets the attempt number, which changes when a
+ * re-prompt starts the text over.
+ *
+ * Calls made inside a cancellable run (lib/cancellation.js) are aborted
+ * when it's cancelled — mid-request, or while waiting to retry.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { getProvider } from '../lib/providers/index.js';
+import { validate } from '../lib/schema.js';
+import { recordUsage } from '../lib/usage.js';
+import { currentSignal, throwIfCancelled, sleep } from '../lib/cancellation.js';
 
 const APP_RETRIES = 2;
 const RETRY_DELAY_MS = 10000; // 10 seconds between app-level retries
+const SCHEMA_RETRIES = 2; // re-prompts after the first reply fails validation
 
-export async function callClaude({ model, max_tokens, system, messages }) {
-  // SDK retries 529/5xx automatically up to maxRetries times with backoff
-  const client = new Anthropic({ maxRetries: 4 });
+export async function callClaude({ model, max_tokens, temperature, fallbacks = [], system, messages, onDelta }) {
+  const provider = getProvider();
+  const signal = currentSignal();
+  const chain = [model, ...fallbacks.filter(fallback => fallback !== model)];
 
-  for (let attempt = 1; attempt <= APP_RETRIES; attempt++) {
+  for (const [position, candidate] of chain.entries()) {
+    for (let attempt = 1; attempt <= APP_RETRIES; attempt++) {
+      throwIfCancelled(signal);
+      try {
+        const { text, usage } = await provider.complete({ model: candidate, max_tokens, temperature, system, messages }, { onDelta, signal });
+        recordUsage(candidate, usage);
+        return text;
+      } catch (err) {
+        // The SDK's abort error says less than the reason the run was cancelled
+        throwIfCancelled(signal);
+
+        const isOverloaded = err.status === 529 ||
+          (err.message && err.message.includes('Overloaded'));
+        if (!isOverloaded) throw err;
+
+        if (attempt < APP_RETRIES) {
+          console.log(`    ⏳ API overloaded after SDK retries, waiting ${RETRY_DELAY_MS / 1000}s before attempt ${attempt + 1}/${APP_RETRIES}...`);
+          await sleep(RETRY_DELAY_MS, signal);
+        }
+      }
+    }
+
+    if (position < chain.length - 1) {
+      console.log(`    ⤵ ${candidate} is still overloaded, falling back to ${chain[position + 1]}...`);
+    }
+  }
+
+  // The whole chain is exhausted — throw a clean, user-friendly error
+  throw new Error('The AI service is temporarily at capacity. Please wait a minute and try again.');
+}
+
+export async function callClaudeJSON({ model, max_tokens, temperature, fallbacks, system, messages, schema, onDelta }) {
+  const conversation = [...messages];
+  const last = conversation.pop();
+  conversation.push({
+    ...last,
+    content: `${last.content}
+
+---
+
+Respond with a single JSON object that matches this JSON schema. No prose before or after it, no code fences.
+
+${JSON.stringify(schema, null, 2)}`
+  });
+
+  for (let attempt = 0; attempt <= SCHEMA_RETRIES; attempt++) {
+    const text = await callClaude({
+      model,
+      max_tokens,
+      temperature,
+      fallbacks,
+      system,
+      messages: conversation,
+      onDelta: onDelta && ((delta) => onDelta(delta, attempt))
+    });
+
+    let data;
+    let problem;
     try {
-      const message = await client.messages.create({
-        model,
-        max_tokens,
-        system,
-        messages
-      });
-      return message.content[0].text;
+      data = parseJSON(text);
+      problem = validate(schema, data);
     } catch (err) {
-      const isOverloaded = err.status === 529 ||
-        (err.message && err.message.includes('Overloaded'));
-
-      if (isOverloaded && attempt < APP_RETRIES) {
-        console.log(`    ⏳ API overloaded after SDK retries, waiting ${RETRY_DELAY_MS / 1000}s before attempt ${attempt + 1}/${APP_RETRIES}...`);
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-      } else if (isOverloaded) {
-        // All retries exhausted — throw a clean, user-friendly error
-        throw new Error('The AI service is temporarily at capacity. Please wait a minute and try again.');
-      } else {
-        throw err;
-      }
+      problem = `Not valid JSON: ${err.message}`;
+    }
+
+    if (!problem) return data;
+
+    if (attempt < SCHEMA_RETRIES) {
+      console.log(`    ↻ Output didn't match the schema, re-prompting (${attempt + 1}/${SCHEMA_RETRIES})...`);
+      conversation.push(
+        { role: 'assistant', content: text },
+        { role: 'user', content: `That response doesn't match the required schema:\n${problem}\n\nReply with the corrected JSON object only.` }
+      );
+    } else {
+      throw new Error(`The AI returned output in an unexpected shape after ${SCHEMA_RETRIES + 1} attempts:\n${problem}`);
     }
   }
 }
+
+// Models occasionally wrap JSON in code fences or a sentence — take the outermost object.
+function parseJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('no JSON object found');
+  return JSON.parse(text.slice(start, end + 1));
+}
@@ -0,0 +1,71 @@
+/**
+ * Pipeline Definition
+ *
+ * The ordered list of steps the runner in lib/pipeline.js executes. Each
+ * step module exports a plain definition object:
+ *
+ *   id          — key the step's output is stored under in the pipeline context
+ *   label       — human-readable title (card heading, markdown section)
+ *   activity    — progress message shown while the step runs
+ *   inputs      — context keys handed to buildPrompt (the brief, brand
+ *                 guidelines and rules, the channels to write for, the
+ *                 locales to transcreate for, the run's prompt templates,
+ *                 or the id of any earlier step)
+ *   templates   — the prompt templates the step renders, buildPrompt's and
+ *                 refine's — what its cache key covers (lib/step-cache.js)
+ *   model, max_tokens — passed to callClaude, unless the model settings
+ *                 (lib/models.js) say otherwise
+ *   when        — optional; (context) => whether this run has the step at
+ *                 all. A run it doesn't apply to skips it, and steps after
+ *                 it carry on without its output
+ *   schema      — JSON schema the step's output must match, or
+ *                 (inputs) => schema when the shape depends on the run
+ *   buildPrompt — ({ ...inputs }) => { system, messages }, filling in the
+ *                 step's template from prompts/ (see lib/prompts.js)
+ *   refine      — optional; async (output, inputs) => output, a post-pass
+ *                 that checks or repairs what the model returned
+ *   answerOf    — optional, with a refine that reshapes the output;
+ *                 (output, inputs) => the model's answer within it, so an
+ *                 edited output can be checked and refined again
+ *                 (reviseStep in lib/pipeline.js)
+ *   fanOut      — optional; run the step once per part of its inputs, in
+ *                 parallel. { parts, merge, split? } — parts(inputs) returns
+ *                 the inputs for each call (one per persona, see
+ *                 personas.js), and merge(outputs, inputs) combines what
+ *                 they returned. buildPrompt, schema and refine each see one
+ *                 part. split(output, part), when the parts' refine needs
+ *                 them apart, picks one part's share of a merged output
+ *   variants    — optional; lets one piece of the output be regenerated
+ *                 on its own. { labels, regenerate } — labels maps each
+ *                 variant key to its display name, and
+ *                 async regenerate(output, { painPointId, variant, index }, inputs, { note })
+ *                 returns the output with that one piece rewritten (index
+ *                 picks one of a variant's versions, 0 by default)
+ *   render      — (output, context) => markdown for the UI and saved file
+ *   review      — optional; how a human edits the output at a review gate,
+ *                 and a gate by default. { title, hint, toText, fromText } —
+ *                 the edit happens on toText(output, context) and
+ *                 fromText(text, context) turns it back into data. Any step
+ *                 can be gated; one without this is edited as JSON
+ *                 (see lib/review.js)
+ *   hero        — optional; the UI leads with this step's card
+ *
+ * Adding, removing or reordering a step is an edit to this list — the CLI
+ * and the server both run whatever is here.
+ */
+
+import { analysisStep } from './step1-analyze.js';
+import { painPointsStep } from './step2-painpoints.js';
+import { copyStep } from './step3-copy.js';
+import { strategyStep } from './step4-strategy.js';
+import { complianceStep } from './step5-compliance.js';
+import { transcreationStep } from './step6-transcreate.js';
+
+export const PIPELINE = [
+  analysisStep,
+  painPointsStep,
+  copyStep,
+  strategyStep,
+  complianceStep,
+  transcreationStep
+];
@@ -0,0 +1,90 @@
+/**
+ * Locale Registry
+ *
+ * The markets the transcreation step (Step 6) can adapt a campaign's copy
+ * for. A run picks which ones, if any — by default the copy stays in
+ * English and Step 6 is skipped. Each locale is:
+ *
+ *   label     — how it's shown ("Spanish (Mexico)")
+ *   language  — the language the copy is written in
+ *   market    — who it's for, as given to the model
+ *   guidance  — conventions the copy has to follow there (forms of address,
+ *               currency), as given to the model
+ *
+ * Locale codes are BCP 47 tags: language-REGION.
+ */
+
+export const LOCALES = {
+  'es-ES': {
+    label: 'Spanish (Spain)',
+    language: 'Spanish',
+    market: 'Spain',
+    guidance: 'Address the reader as "tú" unless the brand guidelines call for "usted". Prices in euros.'
+  },
+  'es-MX': {
+    label: 'Spanish (Mexico)',
+    language: 'Spanish',
+    market: 'Mexico',
+    guidance: 'Mexican Spanish vocabulary, not Castilian — no "vosotros". Address the reader as "tú" unless the brand guidelines call for "usted". Prices in pesos.'
+  },
+  'fr-FR': {
+    label: 'French (France)',
+    language: 'French',
+    market: 'France',
+    guidance: 'Address the reader as "vous" unless the brand guidelines are deliberately casual. Put a space before ? ! : and ; as French typography does. Prices in euros.'
+  },
+  'fr-CA': {
+    label: 'French (Canada)',
+    language: 'French',
+    market: 'Quebec and French-speaking Canada',
+    guidance: 'Quebec French vocabulary and references, not France\'s. "Vous" is safe; "tu" only for a casual brand. Prices in Canadian dollars.'
+  },
+  'de-DE': {
+    label: 'German (Germany)',
+    language: 'German',
+    market: 'Germany',
+    guidance: 'Address the reader as "Sie" unless the brand guidelines are deliberately casual, then "du" — never mix them. German runs long: favour short words over compounds where a limit is tight. Prices in euros.'
+  },
+  'de-CH': {
+    label: 'German (Switzerland)',
+    language: 'German',
+    market: 'German-speaking Switzerland',
+    guidance: 'Swiss Standard German: "ss", never "ß". Address the reader as "Sie" unless the brand guidelines are deliberately casual. Prices in Swiss francs.'
+  }
+};
+
+/**
+ * The locales a run transcreates its copy for — none for runs that didn't
+ * pick any.
+ */
+export function localesFor(context) {
+  return context.locales || [];
+}
+
+/**
+ * Parse a locale list like "es-ES,fr-FR,de-DE".
+ */
+export function selectLocales(spec) {
+  const locales = spec.split(',').map(l => l.trim()).filter(Boolean);
+  const problem = localesProblem(locales);
+  if (problem) throw new Error(problem);
+  return locales;
+}
+
+/**
+ * What's wrong with a requested locale list, or null if it's usable. An
+ * empty list is fine — it means English only.
+ */
+export function localesProblem(locales) {
+  if (!Array.isArray(locales)) {
+    return `locales must be a list of locale codes: ${Object.keys(LOCALES).join(', ')}.`;
+  }
+  const unknown = locales.find(locale => !Object.hasOwn(LOCALES, locale));
+  if (unknown !== undefined) {
+    return `Unknown locale "${unknown}" — expected any of ${Object.keys(LOCALES).join(', ')}.`;
+  }
+  if (new Set(locales).size !== locales.length) {
+    return 'Each locale can only be picked once.';
+  }
+  return null;
+}
@@ -0,0 +1,73 @@
+/**
+ * Personas
+ *
+ * Step 1 splits a brief's audience into the distinct buyers it covers (an
+ * agency owner and a creative director, say), each with their own pain
+ * points. Steps 2 and 3 run once per persona, in parallel, and Step 4
+ * recommends how to sequence or split the budget across them.
+ *
+ * Pain point ids are numbered across personas in order — the first
+ * persona's are 1..n, the next one's carry on from n + 1 — so everything
+ * keyed by pain point id (copy, compliance, exports) works unchanged.
+ * Step 2 tags each consumer-voice pain point with its personaId.
+ */
+
+/**
+ * The analysis's personas, numbered: [{ id, name, description, painPoints:
+ * [{ id, text }] }].
+ */
+export function personasOf(analysis) {
+  let nextId = 1;
+
+  return analysis.personas.map(({ name, description, painPoints }, i) => ({
+    id: i + 1,
+    name,
+    description,
+    painPoints: painPoints.map(text => ({ id: nextId++, text }))
+  }));
+}
+
+/**
+ * The persona a pain point (by id) belongs to, or undefined if unknown.
+ * Step 2 output without persona ids (a review edit without persona
+ * headings) belongs to the first.
+ */
+export function personaFor({ analysis, painPoints }, painPointId) {
+  const painPoint = painPoints && painPoints.painPoints.find(p => p.id === painPointId);
+  if (!analysis || !painPoint) return undefined;
+  return personasOf(analysis).find(persona => persona.id === (painPoint.personaId || 1));
+}
+
+/**
+ * A persona's display name — "Persona 2" when it has none.
+ */
+export function personaName(persona) {
+  return persona.name || `Persona ${persona.id}`;
+}
+
+/**
+ * The personas a run writes for: all of Step 1's, less any whose pain
+ * points were all removed in review (once Step 2 has run).
+ */
+export function runPersonas({ analysis, painPoints }) {
+  const personas = personasOf(analysis);
+  if (!painPoints) return personas;
+
+  const used = new Set(painPoints.painPoints.map(p => p.personaId || 1));
+  return personas.filter(persona => used.has(persona.id));
+}
+
+/**
+ * Split a run's inputs into one set per persona, for a step that fans out:
+ * each carries its `persona` and, once Step 2 has run, only that persona's
+ * consumer-voice pain points.
+ */
+export function personaParts(inputs) {
+  return runPersonas(inputs).map((persona) => {
+    const part = { ...inputs, persona };
+    if (inputs.painPoints) {
+      part.painPoints = { painPoints: inputs.painPoints.painPoints.filter(p => (p.personaId || 1) === persona.id) };
+    }
+    return part;
+  });
+}
@@ -4,59 +4,109 @@
  * PURPOSE:
  *   Read the raw client brief and extract structured intelligence:
  *   - Industry / market category
- *   - Target audience (who this is for)
- *   - Core pain points (3–5 problems the product/service solves)
+ *   - Personas — the distinct buyers the brief covers (usually one to
+ *     three), each with the 2–5 problems the product/service solves for them
  *   - Product/service differentiators (what makes it stand out)
  *
  * INPUT:  raw brief text (string)
- * OUTPUT: structured analysis (string — formatted markdown or clean prose)
+ * OUTPUT: { industry, personas: [{ name, description, painPoints[] }], differentiators[] }
+ *         validated against `schema`; `render` turns it into markdown.
  *
  * CONTEXT PASSED FORWARD:
  *   This output is included in every subsequent step as accumulated context.
+ *   Steps 2 and 3 run once per persona.
  */
 
-import { callClaude } from './claude-client.js';
+import { renderPrompt } from '../lib/prompts.js';
+import { personasOf, personaName } from './personas.js';
 
-const SYSTEM_PROMPT = `You are a strategist at Mad Hat Maven, a creative agency that believes AI gets you close but humans get you there. Your output is direct, human-centered, and free of corporate jargon. Write like a smart person talking to another smart person.`;
+const MAX_PERSONAS = 3;
 
-export async function analyzeBrief(brief, brandGuidelines) {
-  console.log('  → Sending brief to Claude for analysis...');
+// How many pain points each persona gets — fewer each when the brief is
+// split across several. The prompt asks for these; the eval checks them.
+export const PAIN_POINTS_PER_PERSONA = {
+  one: { min: 3, max: 5 },
+  several: { min: 2, max: 3 }
+};
 
-  const guidelinesBlock = brandGuidelines
-    ? `\n\n---\n\nBRAND GUIDELINES (use these to inform your understanding of tone, audience, and positioning):\n${brandGuidelines}`
-    : '';
+/**
+ * The pain point bounds for each persona of an analysis with this many.
+ */
+export function painPointBounds(personaCount) {
+  return personaCount > 1 ? PAIN_POINTS_PER_PERSONA.several : PAIN_POINTS_PER_PERSONA.one;
+}
 
-  const result = await callClaude({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2048,
-    system: SYSTEM_PROMPT,
-    messages: [
-      {
-        role: 'user',
-        content: `Analyze the following client brief and extract structured intelligence. Be specific and grounded — only pull what's actually in the brief or can be directly inferred.${brandGuidelines ? ' Factor in the provided brand guidelines when assessing audience and positioning.' : ''}
+const { one, several } = PAIN_POINTS_PER_PERSONA;
 
-Return your analysis in this format:
+export const analysisStep = {
+  id: 'analysis',
+  label: 'Brief Analysis',
+  activity: 'Analyzing brief...',
+  inputs: ['brief', 'brandGuidelines', 'prompts'],
+  templates: ['system', 'analysis'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 2048,
+  schema: {
+    type: 'object',
+    properties: {
+      industry: { type: 'string' },
+      personas: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_PERSONAS,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            painPoints: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: Math.min(one.min, several.min),
+              maxItems: Math.max(one.max, several.max)
+            }
+          },
+          required: ['name', 'description', 'painPoints'],
+          additionalProperties: false
+        }
+      },
+      differentiators: { type: 'array', items: { type: 'string' }, minItems: 1 }
+    },
+    required: ['industry', 'personas', 'differentiators'],
+    additionalProperties: false
+  },
+  buildPrompt,
+  render
+};
 
-**Industry / Market Category:**
-(one line)
+function buildPrompt({ brief, brandGuidelines, prompts }) {
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(prompts, 'analysis', {
+      brief,
+      brandGuidelines,
+      maxPersonas: MAX_PERSONAS,
+      painPointRange: `${one.min}–${one.max} when there's one persona, ${several.min}–${several.max} each when there are several`
+    }) }]
+  };
+}
 
-**Target Audience:**
-(who this is for — be specific about demographics, psychographics, or situation)
+function render(analysis) {
+  const { industry, differentiators } = analysis;
+  const personas = personasOf(analysis);
+  const painPointList = painPoints => painPoints.map(({ id, text }) => `${id}. ${text}`).join('\n');
 
-**Core Pain Points:**
-(3–5 numbered problems the product/service addresses)
+  const audience = personas.map(persona => `**Persona ${persona.id}: ${personaName(persona)}**
+${persona.description}
 
-**Key Differentiators:**
-(what makes this offering stand out from alternatives)
+*Pain points:*
+${painPointList(persona.painPoints)}`).join('\n\n');
 
----
+  return `**Industry / Market Category:**
+${industry}
 
-CLIENT BRIEF:
-${brief}${guidelinesBlock}`
-      }
-    ]
-  });
+${audience}
 
-  console.log('  ✓ Analysis complete.');
-  return result;
+**Key Differentiators:**
+${differentiators.map(item => `- ${item}`).join('\n')}`;
 }
@@ -9,59 +9,152 @@
  *   This bridges the gap between "what we know hurts them" and
  *   "how they'd describe the hurt themselves."
  *
+ *   Runs once per persona, in parallel — each in that persona's voice.
+ *
  * INPUT:
  *   - brief:    the original client brief (string)
- *   - analysis: the output from Step 1 (string)
+ *   - analysis: the output from Step 1 (object)
  *
  * OUTPUT:
  *   Each pain point rewritten as a raw, honest consumer statement.
- *   Format: numbered list, one statement per pain point.
+ *   Format: { painPoints: [{ id, personaId, statement }] } — id is the pain
+ *   point's id from the Step 1 analysis (numbered across personas, see
+ *   personas.js) and personaId the persona who said it.
  *
  * CONTEXT PASSED FORWARD:
  *   Both the original analysis and these expanded statements are
  *   passed to Steps 3 and 4 to ground copy and strategy in real language.
  */
 
-import { callClaude } from './claude-client.js';
+import { renderPrompt } from '../lib/prompts.js';
+import { personasOf, personaName, personaParts } from './personas.js';
 
-const SYSTEM_PROMPT = `You are a strategist at Mad Hat Maven, a creative agency that believes AI gets you close but humans get you there. Your output is direct, human-centered, and free of corporate jargon. Write like a smart person talking to another smart person.`;
+export const painPointsStep = {
+  id: 'painPoints',
+  label: 'Pain Points (Consumer Voice)',
+  activity: 'Expanding pain points in consumer voice...',
+  inputs: ['brief', 'analysis', 'brandGuidelines', 'prompts'],
+  templates: ['system', 'painPoints'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 1500,
+  schema: painPointsSchema,
+  review: {
+    title: 'Do these pain points resonate?',
+    hint: 'Edit, remove, or add your own before we generate copy — one per line, under the persona it belongs to. The pipeline will continue with whatever you confirm below.',
+    toText,
+    fromText
+  },
+  fanOut: { parts: personaParts, merge },
+  buildPrompt,
+  render
+};
 
-export async function expandPainPoints(brief, analysis, brandGuidelines) {
-  console.log('  → Rewriting pain points in consumer voice...');
+// One persona's call may only use the ids of that persona's pain points,
+// and a reviewed list only the personas Step 1 found
+function painPointsSchema({ persona, analysis }) {
+  return {
+    type: 'object',
+    properties: {
+      painPoints: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            id: persona ? { type: 'integer', enum: persona.painPoints.map(p => p.id) } : { type: 'integer', minimum: 1 },
+            personaId: analysis ? { type: 'integer', enum: personasOf(analysis).map(p => p.id) } : { type: 'integer', minimum: 1 },
+            statement: { type: 'string', minLength: 1 }
+          },
+          required: ['id', 'statement'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['painPoints'],
+    additionalProperties: false
+  };
+}
 
-  const guidelinesBlock = brandGuidelines
-    ? `\n\n---\n\nBRAND GUIDELINES (use these to understand who the consumer is and how they speak):\n${brandGuidelines}`
-    : '';
+function buildPrompt({ brief, analysis, brandGuidelines, persona, prompts }) {
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(prompts, 'painPoints', { brief, analysis, brandGuidelines, persona }) }]
+  };
+}
 
-  const result = await callClaude({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 1500,
-    system: SYSTEM_PROMPT,
-    messages: [
-      {
-        role: 'user',
-        content: `You've just completed a brief analysis (below). Now take each pain point and rewrite it the way the actual consumer would say it — out loud, in a search bar, or in a frustrated text to a friend.
+// Each persona's call only sees its own pain points — tag them with it
+function merge(outputs, inputs) {
+  return {
+    painPoints: personaParts(inputs).flatMap(({ persona }, i) => outputs[i].painPoints.map(({ id, statement }) => ({ id, personaId: persona.id, statement })))
+  };
+}
 
-Rules:
-- No marketing language. No polish. Raw and real.
-- Each rewrite should sound like a Reddit comment, a Google search, or something muttered at a laptop at 11pm.
-- Match the emotional register: frustrated, skeptical, hopeful, overwhelmed — whatever fits.
-- Keep it to one or two sentences per pain point.
-- Number them to match the original pain points.${brandGuidelines ? '\n- Use the brand guidelines to inform who this consumer is and how they talk.' : ''}
+function render(output, context) {
+  return byPersona(output, context)
+    .map(({ persona, painPoints }) => [
+      ...(persona ? [`**${personaName(persona)}**`] : []),
+      ...painPoints.map(({ id, statement }) => `${id}. ${statement}`)
+    ].join('\n'))
+    .join('\n\n');
+}
 
----
+/**
+ * The pain points grouped under their personas, in order — one group with
+ * no persona when the run has (or the output names) just one.
+ */
+function byPersona({ painPoints }, { analysis } = {}) {
+  const personas = analysis ? personasOf(analysis) : [];
+  const ids = [...new Set(painPoints.map(p => p.personaId || 1))].sort((a, b) => a - b);
+  if (personas.length < 2 || ids.length < 2) return [{ persona: null, painPoints }];
 
-ORIGINAL BRIEF:
-${brief}
+  return ids.map(id => ({
+    persona: personas.find(persona => persona.id === id) || { id, name: null },
+    painPoints: painPoints.filter(p => (p.personaId || 1) === id)
+  }));
+}
+
+// Review edits happen as plain text, one pain point per line, under a
+// "## Persona 2: Creative Director" heading per persona when there are
+// several. A leading number keeps its id; unnumbered lines are added after
+// the highest id, for the persona they're listed under.
+function toText(output, context) {
+  return byPersona(output, context)
+    .map(({ persona, painPoints }) => [
+      ...(persona ? [`## Persona ${persona.id}: ${personaName(persona)}`] : []),
+      ...painPoints.map(({ id, statement }) => `${id}. ${statement}`)
+    ].join('\n'))
+    .join('\n\n');
+}
 
----
+function fromText(text) {
+  const lines = [];
+  let personaId;
 
-STEP 1 ANALYSIS:
-${analysis}${guidelinesBlock}`
-      }
-    ]
-  });
+  for (const line of text.split('\n')) {
+    const heading = line.trim().match(/^#+\s*Persona\s+(\d+)\b/i);
+    if (heading) {
+      personaId = Number(heading[1]);
+      continue;
+    }
+
+    const match = line.trim().match(/^(?:(\d+)[.)]\s*)?(.+)$/);
+    if (match) lines.push({ id: match[1] ? Number(match[1]) : null, personaId, statement: match[2].trim() });
+  }
+
+  // Everything downstream finds a pain point by its id, so two lines can't share one
+  const numbered = lines.filter(line => line.id !== null).map(line => line.id);
+  const repeated = numbered.filter((id, i) => numbered.indexOf(id) !== i);
+  if (repeated.length > 0) {
+    const ids = [...new Set(repeated)].sort((a, b) => a - b);
+    throw new Error(`Pain point${ids.length === 1 ? '' : 's'} ${ids.join(', ')} ${ids.length === 1 ? 'is' : 'are'} numbered more than once — give each line its own number, or none to add it as a new one.`);
+  }
+
+  let nextId = Math.max(0, ...numbered) + 1;
+  const painPoints = lines.map(({ id, personaId, statement }) => ({
+    id: id !== null ? id : nextId++,
+    ...(personaId ? { personaId } : {}),
+    statement
+  }));
 
-  console.log('  ✓ Pain points expanded.');
-  return result;
+  return { painPoints };
 }
@@ -2,75 +2,375 @@
  * Step 3 — Ad Copy Generation
  *
  * PURPOSE:
- *   For each pain point (in consumer voice from Step 2), generate
- *   3 distinct ad copy variations targeting different channels:
+ *   For each pain point (in consumer voice from Step 2), write copy for
+ *   every channel the run picked — by default:
  *
  *   A) Social — short, punchy, scroll-stopping (fits in a caption or card)
  *   B) Search — intent-driven, benefit-forward (fits a headline + description)
  *   C) Video script opener — hooks the viewer in the first 5 seconds
  *
+ *   LinkedIn, email, display, TikTok and SMS are available too. Each
+ *   channel's instructions, limits and number of versions live in the
+ *   registry (steps/channels.js).
+ *
+ *   Runs once per persona, in parallel — each writing for its own
+ *   persona's pain points.
+ *
  * INPUT:
  *   - brief:      the original client brief (string)
- *   - analysis:   Step 1 output — industry, audience, differentiators (string)
- *   - painPoints: Step 2 output — pain points in consumer voice (string)
+ *   - analysis:   Step 1 output — industry, audience, differentiators (object)
+ *   - painPoints: Step 2 output — pain points in consumer voice (object)
+ *   - channels:   channel ids to write for, in order (array, optional)
  *
  * OUTPUT:
- *   For each pain point: a labeled set of 3 copy variations.
- *   Format: structured markdown — one section per pain point.
+ *   For each pain point: a list of versions per channel.
+ *   Format: { variations: [{ painPointId, social: [text], search: [{ headline, description }], ... }] }
+ *
+ * LENGTH LIMITS:
+ *   Platforms reject copy over their character limits (a Google search
+ *   headline over 30, an SMS over 160). After generation every version of
+ *   a channel with limits is measured; anything over goes back to the model
+ *   for a targeted rewrite (up to MAX_REWRITE_ATTEMPTS). The result is
+ *   recorded per version in
+ *   `limitReport: [{ painPointId, variant, index, rewrites, passed }]`
+ *   and anything still over is flagged in the rendered copy.
+ *
+ * REGENERATING ONE VARIATION:
+ *   A single version of one channel's copy for one pain point can be
+ *   rewritten on its own (optionally with a steering note) — the rest of
+ *   the copy is kept. It goes through the same limit check, and the
+ *   team's selection for it (lib/selections.js) is cleared.
+ *
+ * SELECTIONS:
+ *   The team approves, rejects, stars and edits versions of the copy; the
+ *   verdicts are kept in `selections` (see lib/selections.js) and marked
+ *   in the rendered copy. Finalizing keeps only the approved versions.
  *
  * CONTEXT PASSED FORWARD:
  *   The full copy block is included in Step 4 so the strategy
  *   summary can reference specific angles and executions.
  */
 
-import { callClaude } from './claude-client.js';
+import { callClaudeJSON } from './claude-client.js';
+import { renderPrompt } from '../lib/prompts.js';
+import { modelSettings } from '../lib/models.js';
+import { personaParts, personaFor, personaName } from './personas.js';
+import { CHANNELS, channelsFor, channelInstructions, itemSchema, channelItems, measureItem, limitViolations, hasLimits, itemText, itemLabel } from './channels.js';
+
+const MAX_REWRITE_ATTEMPTS = 3;
+
+export const copyStep = {
+  id: 'copy',
+  label: 'Ad Copy Variations',
+  activity: 'Generating ad copy variations...',
+  inputs: ['brief', 'analysis', 'painPoints', 'brandGuidelines', 'channels', 'prompts'],
+  templates: ['system', 'copy', 'copy-fit'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 4096,
+  schema: copySchema,
+  buildPrompt,
+  refine: enforceLimits,
+  answerOf: ({ variations }) => ({ variations }),
+  fanOut: { parts: personaParts, merge },
+  variants: {
+    labels: Object.fromEntries(Object.entries(CHANNELS).map(([id, { copyLabel }]) => [id, copyLabel])),
+    regenerate: regenerateVariant
+  },
+  render
+};
+
+// The output shape depends on the channels: each one's key holds exactly
+// `count` versions. One persona's call only writes for its pain points.
+function copySchema(inputs) {
+  const channels = channelsFor(inputs);
+  const painPointId = inputs.persona
+    ? { type: 'integer', enum: inputs.painPoints.painPoints.map(p => p.id) }
+    : { type: 'integer', minimum: 1 };
+
+  return {
+    type: 'object',
+    properties: {
+      variations: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            painPointId,
+            ...Object.fromEntries(channels.map(channel => [channel, {
+              type: 'array',
+              minItems: CHANNELS[channel].count,
+              maxItems: CHANNELS[channel].count,
+              items: itemSchema(channel)
+            }]))
+          },
+          required: ['painPointId', ...channels],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['variations'],
+    additionalProperties: false
+  };
+}
+
+function buildPrompt(inputs) {
+  const { brief, analysis, painPoints, brandGuidelines, persona, prompts } = inputs;
+  const channels = channelsFor(inputs)
+    .map((channel) => {
+      const { count } = CHANNELS[channel];
+      return `**${channel}** — ${channelInstructions(channel)}${count > 1 ? ` Write ${count} distinct versions.` : ''}`;
+    })
+    .join('\n\n');
+
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(prompts, 'copy', { brief, analysis, painPoints, brandGuidelines, persona, channels }) }]
+  };
+}
+
+function merge(outputs) {
+  const byPainPoint = (a, b) => a.painPointId - b.painPointId;
+  return {
+    variations: outputs.flatMap(output => output.variations).sort(byPainPoint),
+    limitReport: outputs.flatMap(output => output.limitReport).sort(byPainPoint)
+  };
+}
+
+/**
+ * Every version of every channel as plain text, one entry per pain point
+ * per channel per version — [{ painPointId, variant, index, label, text }]
+ * — for checks that read the copy rather than its structure.
+ */
+export function copyVariants({ variations }, channels) {
+  return variations.flatMap(variation => channels.flatMap((variant) => {
+    const items = channelItems(variation, variant);
+    return items.map((item, index) => ({
+      painPointId: variation.painPointId,
+      variant,
+      index,
+      label: itemLabel(variant, index, items.length),
+      text: itemText(variant, item)
+    }));
+  }));
+}
+
+/**
+ * Rewrite every version that's over its channel's limits, and report on
+ * each one checked in `limitReport`. The transcreation step (Step 6) runs
+ * its copy through this too, passing its own step (for the model settings)
+ * and the language the copy is in.
+ */
+export async function enforceLimits(output, inputs, { step = copyStep, language = null } = {}) {
+  const channels = channelsFor(inputs).filter(hasLimits);
+
+  const limitReport = await Promise.all(output.variations.flatMap(variation => channels.flatMap(variant => {
+    const items = variation[variant];
+    return items.map(async (item, index) => {
+      const fitted = await fitItem(variation.painPointId, variant, item, inputs, { step, language });
+      items[index] = fitted.item;
+      return { painPointId: variation.painPointId, variant, index, rewrites: fitted.rewrites, passed: fitted.passed };
+    });
+  })));
 
-const SYSTEM_PROMPT = `You are a strategist at Mad Hat Maven, a creative agency that believes AI gets you close but humans get you there. Your output is direct, human-centered, and free of corporate jargon. Write like a smart person talking to another smart person.`;
+  return { ...output, limitReport };
+}
 
-export async function generateCopy(brief, analysis, painPoints, brandGuidelines) {
-  console.log('  → Generating copy for each pain point...');
+/**
+ * Rewrite one version until it fits its channel's limits (or attempts run
+ * out). Resolves to { item, rewrites, passed }.
+ */
+async function fitItem(painPointId, variant, item, inputs, { step = copyStep, language = null } = {}) {
+  let rewrites = 0;
 
-  const guidelinesBlock = brandGuidelines
-    ? `\n\n---\n\nBRAND GUIDELINES (all copy MUST comply with these — tone, voice, restrictions, and audience rules take priority):\n${brandGuidelines}`
-    : '';
+  while (limitViolations(variant, item).length > 0 && rewrites < MAX_REWRITE_ATTEMPTS) {
+    rewrites++;
+    console.log(`    ✂ ${CHANNELS[variant].copyLabel} copy${language ? ` in ${language}` : ''} for pain point ${painPointId} is over length, rewriting (${rewrites}/${MAX_REWRITE_ATTEMPTS})...`);
+    item = await rewriteItem(painPointId, variant, item, inputs, { step, language });
+  }
 
-  const result = await callClaude({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4096,
-    system: SYSTEM_PROMPT,
+  return { item, rewrites, passed: limitViolations(variant, item).length === 0 };
+}
+
+async function regenerateVariant(output, { painPointId, variant, index = 0 }, inputs, { note } = {}) {
+  const { brief, analysis, painPoints, brandGuidelines, prompts } = inputs;
+  const current = output.variations.find(v => v.painPointId === painPointId);
+  const known = Object.hasOwn(CHANNELS, variant);
+  const items = current && known ? channelItems(current, variant) : [];
+  if (items[index] === undefined) {
+    throw new Error(`There is no ${known ? itemLabel(variant, index, items.length || 1) : variant} copy for pain point ${painPointId}.`);
+  }
+
+  const painPoint = painPoints.painPoints.find(p => p.id === painPointId);
+  const persona = personaFor({ analysis, painPoints }, painPointId);
+
+  const reply = await callClaudeJSON({
+    ...modelSettings(copyStep),
+    max_tokens: 600,
+    system: renderPrompt(prompts, 'system'),
     messages: [
       {
         role: 'user',
-        content: `Using the brief analysis and consumer-voice pain points below, generate ad copy variations for each pain point.${brandGuidelines ? ' IMPORTANT: All copy must be filtered through the provided brand guidelines — match the specified tone, voice, and audience rules exactly.' : ''}
+        content: renderPrompt(prompts, 'copy-variant', {
+          variant,
+          instructions: channelInstructions(variant),
+          note,
+          painPoint: painPoint ? painPoint.statement : '(not available)',
+          current: items[index],
+          brief,
+          audience: { audience: persona ? persona.description : null, differentiators: analysis.differentiators },
+          brandGuidelines
+        })
+      }
+    ],
+    schema: {
+      type: 'object',
+      properties: { [variant]: itemSchema(variant) },
+      required: [variant],
+      additionalProperties: false
+    }
+  });
 
-For EACH pain point, write exactly 3 variations:
+  const fitted = await fitItem(painPointId, variant, reply[variant], inputs);
+  const variation = { ...current, [variant]: items.map((item, i) => i === index ? fitted.item : item) };
+  const variations = output.variations.map(v => v === current ? variation : v);
+  const entry = { painPointId, variant, index, rewrites: fitted.rewrites, passed: fitted.passed };
+  // New text the team hasn't seen yet, so whatever they decided about the old one goes
+  const selections = output.selections && output.selections.filter(e => !sameVersion(e, entry));
+  if (!hasLimits(variant)) return { ...output, variations, ...(selections && { selections }) };
 
-**A) Social** — Short, punchy, scroll-stopping. Fits a caption or card. Think: the thing that makes someone stop mid-scroll and screenshot it.
+  const limitReport = [...(output.limitReport || []).filter(e => !sameVersion(e, entry)), entry]
+    .sort((a, b) => a.painPointId - b.painPointId);
+  return { ...output, variations, limitReport, ...(selections && { selections }) };
+}
 
-**B) Search** — Intent-driven, benefit-forward. Write a headline (max 30 chars) + description (max 90 chars). This is for someone actively looking for a solution.
+async function rewriteItem(painPointId, variant, item, { painPoints, prompts }, { step, language }) {
+  const painPoint = painPoints.painPoints.find(p => p.id === painPointId);
+  const problems = limitViolations(variant, item)
+    .map(({ field, length, limit }) => `- ${field || 'text'}: ${length} characters, limit ${limit}`)
+    .join('\n');
 
-**C) Video Script Opener** — The first 5 seconds of a video ad. Hook the viewer hard enough that they don't skip. Write it as a spoken line or scene direction.
+  const reply = await callClaudeJSON({
+    ...modelSettings(step),
+    max_tokens: 300,
+    system: renderPrompt(prompts, 'system'),
+    messages: [
+      {
+        role: 'user',
+        content: renderPrompt(prompts, 'copy-fit', {
+          label: CHANNELS[variant].copyLabel,
+          problems,
+          painPoint: painPoint ? painPoint.statement : '(not available)',
+          language,
+          current: item
+        })
+      }
+    ],
+    schema: {
+      type: 'object',
+      properties: { [variant]: itemSchema(variant) },
+      required: [variant],
+      additionalProperties: false
+    }
+  });
 
-Format as markdown with a ### heading per pain point, then A/B/C sub-sections.
+  return reply[variant];
+}
 
----
+function render({ variations, limitReport = [], selections = [] }, context) {
+  const { painPoints } = context;
+  const channels = channelsFor(context);
+  const personas = new Set(painPoints.painPoints.map(p => p.personaId || 1));
 
-ORIGINAL BRIEF:
-${brief}
+  const copy = variations.map((variation) => {
+    const painPoint = painPoints.painPoints.find(p => p.id === variation.painPointId);
+    const persona = personas.size > 1 && personaFor(context, variation.painPointId);
+    const sections = channels
+      .map((channel, i) => ({ channel, letter: String.fromCharCode(65 + i), items: channelItems(variation, channel) }))
+      .filter(({ items }) => items.length > 0)
+      .map(({ channel, letter, items }) => {
+        const mark = index => selectionMark(selections.find(e => sameVersion(e, { painPointId: variation.painPointId, variant: channel, index })));
+        return `#### ${letter}) ${CHANNELS[channel].copyLabel}
+${items.length === 1
+  ? `${mark(0) ? `${mark(0)}\n` : ''}${renderItem(channel, items[0])}`
+  : items.map((item, index) => `**Version ${index + 1}**${mark(index) ? ` ${mark(index)}` : ''}\n${renderItem(channel, item)}`).join('\n\n')}`;
+      });
 
----
+    return [`### Pain Point ${variation.painPointId}${persona ? ` (${personaName(persona)})` : ''}${painPoint ? `: "${painPoint.statement}"` : ''}`, ...sections].join('\n\n');
+  });
 
-STEP 1 ANALYSIS:
-${analysis}
+  const limitCheck = renderLimitCheck(variations, limitReport);
+  if (limitCheck) copy.push(limitCheck);
 
----
+  return copy.join('\n\n');
+}
 
-STEP 2 PAIN POINTS (CONSUMER VOICE):
-${painPoints}${guidelinesBlock}`
-      }
-    ]
+// Sums up the limit check, tallied per pain point, listing only the copy that needed a rewrite
+function renderLimitCheck(variations, limitReport) {
+  const checked = limitReport
+    .map(entry => ({ ...entry, ...versionOf(variations, entry) }))
+    .filter(({ item }) => item !== undefined);
+  if (checked.length === 0) return null;
+
+  const failing = checked.filter(entry => !entry.passed).length;
+  const summary = failing === 0
+    ? `All ${checked.length} piece${checked.length === 1 ? '' : 's'} of length-limited copy ${checked.length === 1 ? 'is' : 'are'} within limits.`
+    : `**${failing} piece${failing === 1 ? '' : 's'} of copy still over limit — fix before uploading.**`;
+
+  const tallies = [...new Set(checked.map(entry => entry.painPointId))].map((painPointId) => {
+    const entries = checked.filter(entry => entry.painPointId === painPointId);
+    const counts = [
+      `${entries.filter(entry => entry.passed && entry.rewrites === 0).length} within limits as written`,
+      `${entries.filter(entry => entry.passed && entry.rewrites > 0).length} rewritten to fit`,
+      `${entries.filter(entry => !entry.passed).length} still over`
+    ];
+    return `- Pain Point ${painPointId}: ${counts.join(', ')}`;
   });
 
-  console.log('  ✓ Copy generation complete.');
-  return result;
+  const lines = checked
+    .filter(entry => entry.rewrites > 0 || !entry.passed)
+    .map(({ painPointId, variant, index, total, item, rewrites, passed }) => {
+      const lengths = measureItem(variant, item)
+        .map(({ field, length, limit }) => `${field ? `${field} ` : ''}${length}/${limit}`)
+        .join(', ');
+      return `- Pain Point ${painPointId}, ${itemLabel(variant, index, total)}: ${lengths}, ${rewrites} rewrite${rewrites === 1 ? '' : 's'} — ${passed ? '✓ within limits' : '⚠ over limit'}`;
+    });
+
+  return [`### Length Limit Check\n${summary}`, tallies.join('\n'), ...(lines.length ? [lines.join('\n')] : [])].join('\n\n');
+}
+
+// The team's verdict on a version, e.g. "*✓ Approved · ★ Favorite*"
+function selectionMark(selection) {
+  if (!selection) return '';
+  const parts = [
+    selection.status === 'approved' && '✓ Approved',
+    selection.status === 'rejected' && '✗ Rejected',
+    selection.starred && '★ Favorite',
+    selection.edited && 'edited'
+  ].filter(Boolean);
+  return parts.length ? `*${parts.join(' · ')}*` : '';
+}
+
+function renderItem(channel, item) {
+  const over = limitViolations(channel, item);
+  const measure = (field) => {
+    const violation = over.find(v => v.field === field);
+    return violation ? ` *(⚠ ${violation.length}/${violation.limit} — over limit)*` : '';
+  };
+
+  const { fields } = CHANNELS[channel];
+  if (!fields) return `${item}${measure(null)}`;
+  return Object.keys(fields)
+    .map(field => `- **${field[0].toUpperCase()}${field.slice(1)}:** ${item[field]}${measure(field)}`)
+    .join('\n');
+}
+
+function sameVersion(a, b) {
+  return a.painPointId === b.painPointId && a.variant === b.variant && a.index === b.index;
+}
+
+function versionOf(variations, { painPointId, variant, index }) {
+  const variation = variations.find(v => v.painPointId === painPointId);
+  const items = variation ? channelItems(variation, variant) : [];
+  return { variant, index, total: items.length, item: items[index] };
 }
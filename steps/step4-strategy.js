@@ -10,80 +10,155 @@
  *   - Recommended channel priority (where to spend attention first and why)
  *   - Tone guidance (voice, energy, what to avoid)
  *   - Optional: one "brave idea" — a creative angle worth exploring
+ *   - With more than one persona: a persona plan — whether to run them in
+ *     sequence or side by side, and how to split the budget across them
  *
  * INPUT:
  *   - brief:      the original client brief (string)
- *   - analysis:   Step 1 output (string)
- *   - painPoints: Step 2 output (string)
- *   - copy:       Step 3 output (string)
+ *   - analysis:   Step 1 output (object)
+ *   - painPoints: Step 2 output (object)
+ *   - copy:       Step 3 output (object)
+ *   - channels:   the channels Step 3 wrote for (array, optional)
  *
  * OUTPUT:
- *   A one-page strategy brief in clean, readable markdown.
+ *   A one-page strategy brief: { positioning, channelPriority[],
+ *   toneGuidance, braveIdea, personaPlan? }, rendered as clean, readable
+ *   markdown. channelPriority ranks exactly the channels the copy was
+ *   written for. personaPlan is { approach, allocation: [{ persona,
+ *   budgetShare, timing, rationale }] } — one entry per persona, shares in
+ *   percent adding up to 100.
  *   Opinionated but grounded — not a list of hedged suggestions.
  *
- * FINAL STEP:
- *   This output is the last section of the saved markdown file.
+ * CONTEXT PASSED FORWARD:
+ *   Step 5 audits the strategy, alongside the copy, for brand compliance.
  */
 
-import { callClaude } from './claude-client.js';
-
-const SYSTEM_PROMPT = `You are a strategist at Mad Hat Maven, a creative agency that believes AI gets you close but humans get you there. Your output is direct, human-centered, and free of corporate jargon. Write like a smart person talking to another smart person.`;
-
-export async function buildStrategy(brief, analysis, painPoints, copy, brandGuidelines) {
-  console.log('  → Synthesizing strategy from all inputs...');
-
-  const guidelinesBlock = brandGuidelines
-    ? `\n\n---\n\nBRAND GUIDELINES (the strategy must align with these — tone guidance should incorporate and build on these rules, not contradict them):\n${brandGuidelines}`
-    : '';
-
-  const result = await callClaude({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2048,
-    system: SYSTEM_PROMPT,
-    messages: [
-      {
-        role: 'user',
-        content: `You have the full picture: the client brief, the analysis, the consumer-voice pain points, and the ad copy.${brandGuidelines ? ' You also have the client\'s brand guidelines — your strategy must align with and build on these.' : ''} Now write a one-page campaign strategy brief.
-
-This should read like it was written by a senior strategist — opinionated, grounded, and useful. Not a template. Not a list of hedged suggestions. Someone should be able to hand this to a creative director or a client and have them nod.
-
-Include these sections:
-
-### Positioning Statement
-One crisp paragraph. Who this is for, what the offering does, and why it matters right now.
-
-### Channel Priority
-Where to focus first and why. Rank the channels (social, search, video) based on what the data and copy suggest. Include a brief rationale for the top pick.
-
-### Tone Guidance
-How the brand should sound across all channels. What energy to bring. What to avoid. Be specific — "authentic" is not a direction, "sounds like your smartest friend who happens to work in the industry" is.${brandGuidelines ? ' Incorporate the brand guidelines into this section — build on them, don\'t contradict them.' : ''}
-
-### The Brave Idea (Optional)
-If there's one creative angle worth exploring — something a bit unexpected, a campaign hook, a positioning move — put it here. One paragraph max. If nothing stands out, skip this section entirely.
+import { renderPrompt } from '../lib/prompts.js';
+import { CHANNELS, channelsFor } from './channels.js';
+import { runPersonas, personaName } from './personas.js';
+
+export const strategyStep = {
+  id: 'strategy',
+  label: 'Strategy Summary',
+  activity: 'Building strategy summary...',
+  inputs: ['brief', 'analysis', 'painPoints', 'copy', 'brandGuidelines', 'channels', 'prompts'],
+  templates: ['system', 'strategy'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 2048,
+  hero: true,
+  schema: strategySchema,
+  buildPrompt,
+  refine: balanceShares,
+  render
+};
+
+// channelPriority ranks exactly the channels the copy was written for;
+// personaPlan covers every persona, when there's more than one
+function strategySchema(inputs) {
+  const channels = channelLabels(inputs);
+  const personas = personaNames(inputs);
+
+  const schema = {
+    type: 'object',
+    properties: {
+      positioning: { type: 'string', minLength: 1 },
+      channelPriority: {
+        type: 'array',
+        minItems: channels.length,
+        maxItems: channels.length,
+        items: {
+          type: 'object',
+          properties: {
+            channel: { type: 'string', enum: channels },
+            rationale: { type: 'string', minLength: 1 }
+          },
+          required: ['channel', 'rationale'],
+          additionalProperties: false
+        }
+      },
+      toneGuidance: { type: 'string', minLength: 1 },
+      braveIdea: { type: ['string', 'null'] }
+    },
+    required: ['positioning', 'channelPriority', 'toneGuidance', 'braveIdea'],
+    additionalProperties: false
+  };
+  if (personas.length < 2) return schema;
+
+  schema.properties.personaPlan = {
+    type: 'object',
+    properties: {
+      approach: { type: 'string', minLength: 1 },
+      allocation: {
+        type: 'array',
+        minItems: personas.length,
+        maxItems: personas.length,
+        items: {
+          type: 'object',
+          properties: {
+            persona: { type: 'string', enum: personas },
+            budgetShare: { type: 'integer', minimum: 0, maximum: 100 },
+            timing: { type: 'string', minLength: 1 },
+            rationale: { type: 'string', minLength: 1 }
+          },
+          required: ['persona', 'budgetShare', 'timing', 'rationale'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['approach', 'allocation'],
+    additionalProperties: false
+  };
+  schema.required.push('personaPlan');
+  return schema;
+}
 
----
+function buildPrompt(inputs) {
+  const { brief, analysis, painPoints, copy, brandGuidelines, prompts } = inputs;
+  const channels = channelLabels(inputs).join(', ');
+  const personas = personaNames(inputs);
 
-ORIGINAL BRIEF:
-${brief}
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(prompts, 'strategy', { brief, analysis, painPoints, copy, brandGuidelines, channels, personas: personas.length > 1 ? personas.join(', ') : '' }) }]
+  };
+}
 
----
+function channelLabels(inputs) {
+  return channelsFor(inputs).map(channel => CHANNELS[channel].label);
+}
 
-STEP 1 ANALYSIS:
-${analysis}
+function personaNames(inputs) {
+  return runPersonas(inputs).map(personaName);
+}
 
----
+// Budget shares are percentages; if the model's don't add up to 100, scale
+// them so they do (rounding off onto the largest)
+function balanceShares(output) {
+  if (!output.personaPlan) return output;
 
-STEP 2 PAIN POINTS (CONSUMER VOICE):
-${painPoints}
+  const { allocation } = output.personaPlan;
+  const total = allocation.reduce((sum, { budgetShare }) => sum + budgetShare, 0);
+  if (total === 100 || total === 0) return output;
 
----
+  const scaled = allocation.map(entry => ({ ...entry, budgetShare: Math.round(entry.budgetShare * 100 / total) }));
+  const largest = scaled.reduce((top, entry) => entry.budgetShare > top.budgetShare ? entry : top);
+  largest.budgetShare += 100 - scaled.reduce((sum, { budgetShare }) => sum + budgetShare, 0);
 
-STEP 3 AD COPY:
-${copy}${guidelinesBlock}`
-      }
-    ]
-  });
+  return { ...output, personaPlan: { ...output.personaPlan, allocation: scaled } };
+}
 
-  console.log('  ✓ Strategy complete.');
-  return result;
+function render({ positioning, channelPriority, toneGuidance, braveIdea, personaPlan }) {
+  const sections = [
+    `### Positioning Statement\n${positioning}`,
+    `### Channel Priority\n${channelPriority.map(({ channel, rationale }, i) => `${i + 1}. **${channel}** — ${rationale}`).join('\n')}`
+  ];
+  if (personaPlan) {
+    sections.push(`### Persona Plan\n${personaPlan.approach}\n\n${personaPlan.allocation
+      .map(({ persona, budgetShare, timing, rationale }) => `- **${persona}** — ${budgetShare}% of budget, ${timing}: ${rationale}`)
+      .join('\n')}`);
+  }
+  sections.push(`### Tone Guidance\n${toneGuidance}`);
+  if (braveIdea) sections.push(`### The Brave Idea\n${braveIdea}`);
+
+  return sections.join('\n\n');
 }
@@ -0,0 +1,159 @@
+/**
+ * Step 5 — Brand Compliance Check
+ *
+ * PURPOSE:
+ *   Step 3 tells the model all copy "MUST comply" with the brand
+ *   guidelines; this step checks that it did. Two passes are combined:
+ *
+ *   - Rules   — deterministic checks from the client's profile (banned
+ *               words, required phrases, reading-grade ceiling, exclamation
+ *               and emoji limits), see lib/compliance.js
+ *   - Review  — the model reads the copy and strategy against the written
+ *               guidelines and flags anything that breaks them
+ *
+ *   Optional — only runs with written guidelines or profile rules have it;
+ *   without either there's nothing to check against.
+ *
+ * INPUT:
+ *   - copy:            Step 3 output (object)
+ *   - strategy:        Step 4 output (object)
+ *   - brandGuidelines: the client's written guidelines (string, optional)
+ *   - brandRules:      the client's rule set (object, optional)
+ *   - channels:        the channels Step 3 wrote for (array, optional)
+ *
+ * OUTPUT:
+ *   A report with one entry per version of each channel's copy and one for
+ *   the strategy:
+ *   { variations: [{ painPointId, variant, index, violations: [{ rule, detail }], passed }],
+ *     strategy: { violations, passed }, passed }
+ *   Review findings have rule 'review'. Only banned words are checked
+ *   deterministically in the strategy — the other rules are about ad copy.
+ *
+ * AUTO-FIX:
+ *   fixViolations in lib/compliance.js rewrites failing variations, and a
+ *   failing strategy, with their violations as the steering note, then
+ *   reruns this check.
+ */
+
+import { copyVariants } from './step3-copy.js';
+import { CHANNELS, channelsFor, itemLabel } from './channels.js';
+import { checkRules, hasRules } from '../lib/compliance.js';
+import { renderPrompt } from '../lib/prompts.js';
+
+export const complianceStep = {
+  id: 'compliance',
+  label: 'Brand Compliance',
+  activity: 'Checking copy against brand guidelines...',
+  inputs: ['copy', 'strategy', 'brandGuidelines', 'brandRules', 'channels', 'prompts'],
+  templates: ['system', 'compliance'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 2048,
+  when: context => !!(context.brandGuidelines && context.brandGuidelines.trim()) || hasRules(context.brandRules),
+  schema: {
+    type: 'object',
+    properties: {
+      variations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            painPointId: { type: 'integer', minimum: 1 },
+            variant: { type: 'string', enum: Object.keys(CHANNELS) },
+            index: { type: 'integer', minimum: 0 },
+            issues: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+          },
+          required: ['painPointId', 'variant', 'issues'],
+          additionalProperties: false
+        }
+      },
+      strategy: { type: 'array', items: { type: 'string', minLength: 1 } }
+    },
+    required: ['variations', 'strategy'],
+    additionalProperties: false
+  },
+  buildPrompt,
+  refine: buildReport,
+  answerOf: reviewOf,
+  render
+};
+
+function buildPrompt(inputs) {
+  const { copy, strategy, brandGuidelines, prompts } = inputs;
+  const variations = copyVariants(copy, channelsFor(inputs))
+    .map(({ painPointId, variant, index, text }) => `[painPointId ${painPointId}, variant "${variant}"${CHANNELS[variant].count > 1 ? `, index ${index}` : ''}]\n${text}`)
+    .join('\n\n');
+
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{ role: 'user', content: renderPrompt(prompts, 'compliance', { brandGuidelines, variations, strategy }) }]
+  };
+}
+
+/**
+ * Merge the model's review with the profile's rules into one report that
+ * covers every variation, passing or not.
+ */
+function buildReport(review, inputs) {
+  const { copy, strategy, brandRules } = inputs;
+  const variations = copyVariants(copy, channelsFor(inputs)).map(({ painPointId, variant, index, text }) => {
+    const flagged = review.variations.find(entry => entry.painPointId === painPointId && entry.variant === variant && (entry.index || 0) === index);
+    const violations = [
+      ...checkRules(text, brandRules),
+      ...(flagged ? flagged.issues : []).map(detail => ({ rule: 'review', detail }))
+    ];
+    return { painPointId, variant, index, violations, passed: violations.length === 0 };
+  });
+
+  const strategyText = [
+    strategy.positioning,
+    ...strategy.channelPriority.map(({ channel, rationale }) => `${channel}: ${rationale}`),
+    strategy.toneGuidance,
+    strategy.braveIdea
+  ].filter(Boolean).join('\n');
+  const strategyViolations = [
+    ...checkRules(strategyText, brandRules, { only: ['bannedWords'] }),
+    ...review.strategy.map(detail => ({ rule: 'review', detail }))
+  ];
+
+  return {
+    variations,
+    strategy: { violations: strategyViolations, passed: strategyViolations.length === 0 },
+    passed: strategyViolations.length === 0 && variations.every(entry => entry.passed)
+  };
+}
+
+// The model's review within a report — its findings, without the rule
+// checks buildReport adds (those are redone from the profile)
+function reviewOf(report) {
+  const findings = ({ violations }) => (violations || []).filter(v => v.rule === 'review').map(v => v.detail);
+  return {
+    variations: (report.variations || [])
+      .map(({ painPointId, variant, index, violations }) => ({ painPointId, variant, index, issues: findings({ violations }) }))
+      .filter(entry => entry.issues.length > 0),
+    strategy: findings(report.strategy || {})
+  };
+}
+
+function render({ variations, strategy, passed }) {
+  const describe = ({ violations }) => violations.length === 0
+    ? '✓ Compliant'
+    : `⚠ ${violations.map(({ rule, detail }) => rule === 'review' ? `Review: ${detail}` : detail).join('; ')}`;
+
+  const failing = variations.filter(entry => !entry.passed).length;
+  const summary = passed
+    ? '**✓ All copy passes brand compliance.**'
+    : `**⚠ ${failing} of ${variations.length} variations${strategy.passed ? '' : ' and the strategy'} need attention.**`;
+
+  const painPointIds = [...new Set(variations.map(entry => entry.painPointId))];
+  const sections = painPointIds.map(id => `### Pain Point ${id}
+${variations
+  .filter(entry => entry.painPointId === id)
+  .map(entry => `- **${itemLabel(entry.variant, entry.index || 0, versionCount(variations, entry))}** — ${describe(entry)}`)
+  .join('\n')}`);
+
+  return [summary, ...sections, `### Strategy\n- ${describe(strategy)}`].join('\n\n');
+}
+
+function versionCount(variations, { painPointId, variant }) {
+  return variations.filter(entry => entry.painPointId === painPointId && entry.variant === variant).length;
+}
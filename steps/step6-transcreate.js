@@ -0,0 +1,187 @@
+/**
+ * Step 6 — Transcreation
+ *
+ * PURPOSE:
+ *   Adapt the campaign's copy for each market the run picked (Spanish for
+ *   Mexico, German for Germany...), so the same campaign can launch in
+ *   several languages. It's transcreation, not translation: each version
+ *   keeps its angle and hook but is rewritten the way a local copywriter
+ *   would have written it, following the locale's conventions (see
+ *   steps/locales.js) and the brand guidelines. Idioms, puns and references
+ *   that don't carry over are adapted and flagged for a native speaker to
+ *   check.
+ *
+ *   Optional — only runs that pick locales have it. Runs once per locale,
+ *   in parallel.
+ *
+ * INPUT:
+ *   - copy:            Step 3 output — the English copy (object)
+ *   - painPoints:      Step 2 output, for what each piece of copy is about (object)
+ *   - brief, brandGuidelines
+ *   - channels:        the channels Step 3 wrote for (array, optional)
+ *   - locales:         locale codes to transcreate for (array)
+ *
+ * OUTPUT:
+ *   The copy again per locale, in Step 3's shape:
+ *   { locales: { <locale>: { variations: [...], limitReport: [...],
+ *                            idioms: [{ painPointId, channel, index, phrase, issue, adaptation }] } } }
+ *
+ * LENGTH LIMITS:
+ *   Channel limits apply to the transcreated text as they do to the
+ *   English — and translated copy usually runs longer. It goes through
+ *   Step 3's limit check (enforceLimits), with rewrites kept in the
+ *   locale's language.
+ *
+ * EXPORTS:
+ *   Each locale's copy gets its own set of ad platform exports
+ *   (lib/exporters/index.js).
+ */
+
+import { renderPrompt } from '../lib/prompts.js';
+import { copyStep, enforceLimits } from './step3-copy.js';
+import { channelsFor, channelInstructions, itemSchema, channelItems, itemLabel } from './channels.js';
+import { LOCALES, localesFor } from './locales.js';
+
+export const transcreationStep = {
+  id: 'transcreation',
+  label: 'Transcreation',
+  activity: 'Transcreating the copy for each market...',
+  inputs: ['brief', 'painPoints', 'copy', 'brandGuidelines', 'channels', 'locales', 'prompts'],
+  templates: ['system', 'transcreation', 'copy-fit'],
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 8192,
+  when: context => localesFor(context).length > 0,
+  schema: transcreationSchema,
+  buildPrompt,
+  refine: (output, inputs) => enforceLimits(output, inputs, { step: transcreationStep, language: LOCALES[inputs.locale].language }),
+  answerOf: ({ variations, idioms }) => ({ variations, idioms }),
+  fanOut: { parts: localeParts, merge, split: (output, { locale }) => (output.locales || {})[locale] },
+  render
+};
+
+function localeParts(inputs) {
+  return localesFor(inputs).map(locale => ({ ...inputs, locale }));
+}
+
+function merge(outputs, inputs) {
+  return { locales: Object.fromEntries(localesFor(inputs).map((locale, i) => [locale, outputs[i]])) };
+}
+
+// One locale's copy: every pain point Step 3 wrote for, in the same order,
+// with the same channels and number of versions, plus the idioms that
+// didn't carry over. The counts are the English copy's own rather than the
+// channel's: finalized copy (lib/selections.js) keeps only the approved
+// versions.
+function transcreationSchema(inputs) {
+  const channels = channelsFor(inputs);
+  const painPointId = { type: 'integer', enum: inputs.copy.variations.map(v => v.painPointId) };
+
+  return {
+    type: 'object',
+    properties: {
+      variations: {
+        type: 'array',
+        minItems: inputs.copy.variations.length,
+        maxItems: inputs.copy.variations.length,
+        items: inputs.copy.variations.map(variation => ({
+          type: 'object',
+          properties: {
+            painPointId: { type: 'integer', const: variation.painPointId },
+            ...Object.fromEntries(channels.map((channel) => {
+              const count = channelItems(variation, channel).length;
+              return [channel, { type: 'array', minItems: count, maxItems: count, items: itemSchema(channel) }];
+            }))
+          },
+          required: ['painPointId', ...channels],
+          additionalProperties: false
+        })),
+        additionalItems: false
+      },
+      idioms: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            painPointId,
+            channel: { type: 'string', enum: channels },
+            index: { type: 'integer', minimum: 0 },
+            phrase: { type: 'string', minLength: 1 },
+            issue: { type: 'string', minLength: 1 },
+            adaptation: { type: 'string', minLength: 1 }
+          },
+          required: ['painPointId', 'channel', 'index', 'phrase', 'issue', 'adaptation'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['variations', 'idioms'],
+    additionalProperties: false
+  };
+}
+
+function buildPrompt(inputs) {
+  const { brief, painPoints, copy, brandGuidelines, locale, prompts } = inputs;
+  const { language, market, guidance } = LOCALES[locale];
+  const channels = channelsFor(inputs)
+    .map(channel => `**${channel}** — ${channelInstructions(channel)}`)
+    .join('\n\n');
+
+  return {
+    system: renderPrompt(prompts, 'system'),
+    messages: [{
+      role: 'user',
+      content: renderPrompt(prompts, 'transcreation', {
+        locale,
+        language,
+        market,
+        guidance,
+        channels,
+        brief,
+        painPoints,
+        copy: { variations: copy.variations },
+        brandGuidelines
+      })
+    }]
+  };
+}
+
+function render({ locales }, context) {
+  return Object.entries(locales).map(([locale, { variations, limitReport, idioms }]) => [
+    `### ${LOCALES[locale] ? LOCALES[locale].label : locale} · ${locale}`,
+    // Step 3's rendering, a heading level down to sit under the locale
+    copyStep.render({ variations, limitReport }, context).replace(/^(#+) /gm, '#$1 '),
+    renderIdioms(variations, idioms)
+  ].join('\n\n')).join('\n\n');
+}
+
+function renderIdioms(variations, idioms) {
+  if (idioms.length === 0) return "#### Idioms That Don't Carry Over\nNone — everything carried over.";
+
+  const lines = idioms.map(({ painPointId, channel, index, phrase, issue, adaptation }) => {
+    const variation = variations.find(v => v.painPointId === painPointId);
+    const total = variation ? channelItems(variation, channel).length : undefined;
+    return `- **Pain Point ${painPointId}, ${itemLabel(channel, index, total)}:** "${phrase}" — ${issue} → ${adaptation}`;
+  });
+  return `#### Idioms That Don't Carry Over\n${lines.join('\n')}`;
+}
+
+/**
+ * The locales a run's copy has been transcreated for, in the order picked.
+ */
+export function transcreatedLocales(context) {
+  return context.transcreation ? Object.keys(context.transcreation.locales) : [];
+}
+
+/**
+ * The context with one locale's copy in place of the English — what the
+ * exporters build that locale's files from.
+ */
+export function localeContext(context, locale) {
+  const transcreated = transcreatedLocales(context).includes(locale) && context.transcreation.locales[locale];
+  if (!transcreated) {
+    throw new Error(`This run's copy hasn't been transcreated for ${Object.hasOwn(LOCALES, locale) ? LOCALES[locale].label : `"${locale}"`}.`);
+  }
+
+  const { variations, limitReport } = transcreated;
+  return { ...context, copy: { variations, limitReport } };
+}
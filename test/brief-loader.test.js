@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractBriefText } from '../lib/brief-loader.js';
+
+const rtf = async text => extractBriefText(Buffer.from(text, 'latin1'), 'brief.rtf');
+
+test('decodes RTF escapes in the document\'s code page', async () => {
+  assert.equal(
+    await rtf(String.raw`{\rtf1\ansi\ansicpg1252\deff0{\fonttbl{\f0 Arial;}}\f0 We don\'92t want \'93cheap\'94 \'96 caf\'e9\par}`),
+    'We don’t want “cheap” – café'
+  );
+  assert.equal(await rtf(String.raw`{\rtf1\ansi\ansicpg1251 \'cf\'f0\'e8\'e2\'e5\'f2}`), 'Привет');
+});
+
+test('decodes code page 437 with its own table', async () => {
+  assert.equal(await rtf(String.raw`{\rtf1\ansi\ansicpg437 caf\'82 \'9c5 \'b0\'db}`), 'café £5 ░█');
+});
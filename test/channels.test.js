@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectChannels, channelsProblem } from '../steps/channels.js';
+
+test('turns away channel names that are only inherited properties', () => {
+  assert.deepEqual(selectChannels('social, sms'), ['social', 'sms']);
+  assert.equal(channelsProblem(['search', 'toString']), 'Unknown channel "toString" — expected any of social, search, video, linkedin, email, display, tiktok, sms.');
+  assert.throws(() => selectChannels('constructor'), /^Error: Unknown channel "constructor"/);
+});
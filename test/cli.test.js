@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { setProvider } from '../lib/providers/index.js';
+import { runCommand } from '../cli/run.js';
+import { batchCommand } from '../cli/batch.js';
+import { GOLDEN_FIXTURES_DIR } from './support/golden.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+const BRIEF = fileURLToPath(new URL('../evals/briefs/sleep-supplement.txt', import.meta.url));
+
+// `node index.js <args>` — returns { status, stdout, stderr }
+function cli(args, { cwd, env } = {}) {
+  return spawnSync(process.execPath, [INDEX, ...args], { cwd, env: { ...process.env, ...env }, encoding: 'utf-8', timeout: 60000 });
+}
+
+test('refuses an unknown --format before any step is paid for', async () => {
+  let calls = 0;
+  setProvider({ name: 'counting', complete: async () => { calls++; throw new Error('No model calls expected.'); } });
+
+  await assert.rejects(
+    runCommand(['--brief', 'evals/briefs/sleep-supplement.txt', '--format', 'pdf']),
+    /^Error: Unknown output format "pdf" — expected md or json\.$/
+  );
+  await assert.rejects(
+    batchCommand(['--dir', 'evals/briefs', '--format', 'toString']),
+    /^Error: Unknown output format "toString"/
+  );
+  assert.equal(calls, 0);
+});
+
+test('refuses a command name that is only an inherited property', () => {
+  const { status, stderr } = cli(['toString']);
+
+  assert.equal(status, 1);
+  assert.match(stderr, /Pipeline failed: Unknown command "toString"\. Available: run, batch, eval, webhook-receiver, cache\./);
+});
+
+test('runs a brief from the command line, replayed from the fixtures', (t) => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  const { status, stdout, stderr } = cli(['run', '--brief', BRIEF, '--export', 'google-ads'], {
+    cwd,
+    env: { LLM_PROVIDER: 'replay', LLM_FIXTURES_DIR: GOLDEN_FIXTURES_DIR }
+  });
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /Brief loaded: .*sleep-supplement\.txt/);
+  assert.match(stdout, /\[STEP 4\] Done by claude-sonnet-4-20250514\./);
+
+  const saved = fs.readdirSync(path.join(cwd, 'output')).sort();
+  assert.equal(saved.length, 2);
+  assert.match(saved[0], /^\d{4}-\d{2}-\d{2}-sleep-supplement-v1-google-ads\.csv$/);
+  assert.match(saved[1], /^\d{4}-\d{2}-\d{2}-sleep-supplement-v1\.md$/);
+  assert.match(stdout, new RegExp(`Output saved: output/${saved[1].replace(/\./g, '\\.')} \\(version 1, run `));
+  assert.match(fs.readFileSync(path.join(cwd, 'output', saved[1]), 'utf-8'), /Sleep support for busy minds/);
+});
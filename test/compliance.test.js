@@ -0,0 +1,39 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIPELINE } from '../steps/index.js';
+import { fixViolations } from '../lib/compliance.js';
+import { setProvider } from '../lib/providers/index.js';
+import { useGoldenFixtures, runGolden } from './support/golden.js';
+import { createScriptedProvider } from './support/scripted-provider.js';
+
+before(useGoldenFixtures);
+
+test('auto-fixes a strategy that fails compliance when all the copy passes', async (t) => {
+  const { context } = await runGolden('sleep-supplement');
+  context.brandRules = { bannedWords: ['guarantee'] };
+  const compliance = PIPELINE.find(step => step.id === 'compliance');
+  context.compliance = compliance.refine({ variations: [], strategy: [] }, context);
+  assert.ok(context.compliance.variations.every(entry => entry.passed));
+  assert.equal(context.compliance.strategy.passed, false);
+
+  // Takes the steering note: the rewritten strategy drops the banned word
+  const scripted = createScriptedProvider();
+  const notes = [];
+  setProvider({
+    name: 'steered',
+    async complete(request, options) {
+      const prompt = String(request.messages[0].content);
+      const note = prompt.split('STEERING NOTE FROM THE CREATIVE TEAM')[1];
+      if (note) notes.push(note);
+      const answer = await scripted.complete(request, options);
+      return note ? { ...answer, text: answer.text.replace(/no grogginess guarantee/g, 'no grogginess promise') } : answer;
+    }
+  });
+  t.after(useGoldenFixtures);
+
+  assert.equal(await fixViolations(PIPELINE, context), 1);
+  assert.equal(notes.length, 1);
+  assert.match(notes[0], /This strategy failed the client's brand compliance check\. Fix every problem below and keep the plan:\n- .*guarantee/);
+  assert.match(context.strategy.braveIdea, /no grogginess promise/);
+  assert.equal(context.compliance.passed, true);
+});
@@ -0,0 +1,106 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { availableExports, buildExport, selectExports, saveExports, ExportError } from '../lib/exporters/index.js';
+import { toCSV } from '../lib/exporters/csv.js';
+import { DEFAULT_CHANNELS } from '../steps/channels.js';
+import { useGoldenFixtures, runGolden } from './support/golden.js';
+
+const rows = csv => csv.trimEnd().split('\r\n').map(line => line.split(','));
+
+// A run with these personas, each with its pain points' search copy:
+// [{ name, search: [[headline, description], ...] }]
+function searchRun(personas) {
+  let nextId = 1;
+  const owned = personas.map(({ name, search }) => ({ name, search, id: nextId++ }));
+  return {
+    analysis: { personas: owned.map(({ name }) => ({ name, description: name, painPoints: [name] })) },
+    painPoints: { painPoints: owned.map(({ id }) => ({ id, personaId: id, statement: `pain point ${id}` })) },
+    copy: { variations: owned.map(({ id, search }) => ({ painPointId: id, search: search.map(([headline, description]) => ({ headline, description })) })) },
+    channels: ['search']
+  };
+}
+
+before(useGoldenFixtures);
+
+test('builds every export for a replayed run', async () => {
+  const { context } = await runGolden('payroll-saas');
+
+  for (const format of availableExports(DEFAULT_CHANNELS)) {
+    assert.ok(buildExport(format, 'Payroll Saas', context).length > 0, format);
+  }
+
+  const ads = buildExport('google-ads', 'Payroll Saas', context).trimEnd().split('\r\n');
+  assert.equal(ads.length, 3);
+  assert.ok(ads[1].startsWith('Payroll Saas,Payroll Saas — Restaurant Group Owner,Responsive search ad,Ditch the Payroll Spreadsheet,Payroll That Gets Tip Pools,"$6 Per Employee, No Setup Fee",,'));
+  assert.ok(ads[2].startsWith('Payroll Saas,Payroll Saas — General Manager,'));
+
+  const json = JSON.parse(buildExport('json', 'Payroll Saas', context, { version: 2 }));
+  assert.equal(json.version, 2);
+  assert.deepEqual(Object.keys(json.steps), ['analysis', 'painPoints', 'copy', 'strategy']);
+});
+
+test('puts personas too thin for a responsive search ad of their own into one', () => {
+  const csv = buildExport('google-ads', 'Acme', searchRun([
+    { name: 'Owner', search: [['A1', 'a1'], ['A2', 'a2'], ['A3', 'a3']] },
+    { name: 'Manager', search: [['B1', 'b1'], ['B2', 'b2']] },
+    { name: 'Staff', search: [['C1', 'b1']] }
+  ]));
+
+  assert.deepEqual(rows(csv).slice(1).map(row => [row[1], row.slice(3, 8).join(' '), row.slice(18, 22).join(' ')]), [
+    ['Acme — Owner', 'A1 A2 A3  ', 'a1 a2 a3 '],
+    ['Acme — Manager + Staff', 'B1 B2 C1  ', 'b1 b2  ']
+  ]);
+});
+
+test('leaves out a persona whose search copy is still too thin', () => {
+  const csv = buildExport('google-ads', 'Acme', searchRun([
+    { name: 'Owner', search: [['A1', 'a1'], ['A2', 'a2'], ['A3', 'a3']] },
+    { name: 'Manager', search: [['B1', 'b1'], ['B2', 'b2']] }
+  ]));
+
+  assert.deepEqual(rows(csv).slice(1).map(row => row[1]), ['Acme — Owner']);
+});
+
+test('refuses a Google Ads export with no ad that meets the minimums, and saves the rest', (t) => {
+  const context = searchRun([{ name: 'Owner', search: [['A1', 'a1'], ['x'.repeat(31), 'a2'], ['A3', 'a3']] }]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.throws(
+    () => buildExport('google-ads', 'Acme', context),
+    /^ExportError: A responsive search ad needs at least 3 headlines and 2 descriptions within limits, and this run's search copy only has 2 headlines and 2 descriptions\.$/
+  );
+
+  const saved = saveExports(['google-ads', 'json'], 'Acme', context, { dir });
+  assert.deepEqual(saved.map(file => path.extname(file)), ['.json']);
+  assert.deepEqual(fs.readdirSync(dir).map(file => path.extname(file)), ['.json']);
+});
+
+test('stops saving exports on a bug rather than skipping it', (t) => {
+  const context = { ...searchRun([{ name: 'Owner', search: [['A1', 'a1']] }]), copy: { variations: null } };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.throws(() => saveExports(['google-ads'], 'Acme', context, { dir }), err => err instanceof TypeError);
+  assert.ok(new ExportError('x') instanceof Error);
+});
+
+test('refuses exports a run has no copy for', () => {
+  const context = searchRun([{ name: 'Owner', search: [['A1', 'a1']] }]);
+
+  assert.throws(() => buildExport('meta', 'Acme', context), /^ExportError: The Meta Bulk Upload \(CSV\) export needs Social copy, and this run didn't generate any\.$/);
+  assert.throws(() => buildExport('pdf', 'Acme', context), /^Error: Unknown export "pdf"/);
+  assert.throws(() => buildExport('toString', 'Acme', context), /^Error: Unknown export "toString"/);
+  assert.throws(() => selectExports('json,constructor', ['search']), /^Error: Unknown export "constructor" — expected all or any of /);
+  assert.throws(() => buildExport('google-ads', 'Acme', { channels: ['search'] }), /needs ad copy — run the copy step first/);
+});
+
+test('keeps a spreadsheet from reading a cell as a formula', () => {
+  assert.equal(
+    toCSV(['Headline', 'Description'], [['=HYPERLINK("http://x.test","Hi")', '-20% today'], ['+1 more', '@once, only'], ['Fine', 'a-b=c']]),
+    `Headline,Description\r\n"'=HYPERLINK(""http://x.test"",""Hi"")",'-20% today\r\n'+1 more,"'@once, only"\r\nFine,a-b=c\r\n`
+  );
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectLocales, localesProblem } from '../steps/locales.js';
+import { localeContext } from '../steps/step6-transcreate.js';
+
+test('turns away locale codes that are only inherited properties', () => {
+  assert.deepEqual(selectLocales('es-ES, fr-FR'), ['es-ES', 'fr-FR']);
+  assert.match(localesProblem(['es-ES', '__proto__']), /^Unknown locale "__proto__" — expected any of /);
+  assert.throws(() => selectLocales('toString'), /^Error: Unknown locale "toString"/);
+  assert.throws(() => localeContext({}, 'constructor'), /^Error: This run's copy hasn't been transcreated for "constructor"\.$/);
+});
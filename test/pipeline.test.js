@@ -0,0 +1,115 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIPELINE } from '../steps/index.js';
+import { runPipeline, reviseStep } from '../lib/pipeline.js';
+import { useGoldenFixtures, goldenInputs, runGolden } from './support/golden.js';
+
+before(useGoldenFixtures);
+
+test('runs a one-persona brief end to end from the fixtures', async () => {
+  const started = [];
+  const { context, pausedAt } = await runGolden('sleep-supplement', {
+    onStepStart: (step, number) => started.push(`${number}:${step.id}`)
+  });
+
+  assert.equal(pausedAt, null);
+  assert.deepEqual(started, ['1:analysis', '2:painPoints', '3:copy', '4:strategy']);
+  assert.equal(context.analysis.personas.length, 1);
+  assert.deepEqual(context.painPoints.painPoints.map(p => p.id), [1, 2, 3, 4]);
+  assert.equal(context.copy.variations.length, 4);
+  for (const variation of context.copy.variations) {
+    assert.deepEqual(Object.keys(variation).sort(), ['painPointId', 'search', 'social', 'video']);
+  }
+  assert.ok(context.copy.limitReport.every(entry => entry.passed && entry.rewrites === 0));
+  assert.deepEqual(context.strategy.channelPriority.map(c => c.channel).sort(), ['Search', 'Social', 'Video']);
+});
+
+test('skips compliance and transcreation without guidelines or locales', async () => {
+  const { context } = await runGolden('sleep-supplement');
+
+  assert.equal(context.compliance, undefined);
+  assert.equal(context.transcreation, undefined);
+});
+
+test('fans the persona steps out and plans the budget across personas', async () => {
+  const { context } = await runGolden('payroll-saas');
+
+  assert.deepEqual(context.painPoints.painPoints.map(p => p.personaId), [1, 1, 1, 2, 2, 2]);
+  assert.deepEqual(context.copy.variations.map(v => v.painPointId), [1, 2, 3, 4, 5, 6]);
+  const shares = context.strategy.personaPlan.allocation.map(a => a.budgetShare);
+  assert.equal(shares.reduce((a, b) => a + b, 0), 100);
+});
+
+test('pauses at a review gate and resumes from where it stopped', async () => {
+  const context = await goldenInputs('neighborhood-bakery');
+  const paused = await runPipeline(PIPELINE, context, { reviewGates: new Set(['painPoints']) });
+
+  assert.equal(paused.pausedAt, 'painPoints');
+  assert.equal(context.copy, undefined);
+
+  const started = [];
+  const resumed = await runPipeline(PIPELINE, context, { onStepStart: step => started.push(step.id) });
+  assert.equal(resumed.pausedAt, null);
+  assert.deepEqual(started, ['copy', 'strategy']);
+  assert.equal(context.copy.variations.length, 6);
+});
+
+test('runs only the steps asked for', async () => {
+  const { context } = await runGolden('payroll-saas', { only: new Set(['analysis']) });
+
+  assert.equal(context.analysis.personas.length, 2);
+  assert.equal(context.painPoints, undefined);
+});
+
+test('charges each step to the budget and refuses one that could overspend it', async () => {
+  const budget = { remaining: 1, description: 'the test budget' };
+  const done = [];
+  await runGolden('sleep-supplement', { budget, onStepDone: (step, number, output, context, usage) => done.push(usage.cost) });
+
+  assert.ok(done.every(cost => cost > 0));
+  assert.ok(Math.abs(budget.remaining - (1 - done.reduce((a, b) => a + b, 0))) < 1e-9);
+
+  await assert.rejects(
+    runGolden('sleep-supplement', { budget: { remaining: 0, description: 'the test budget' } }),
+    /Budget reached: .* of the test budget is left/
+  );
+});
+
+test('fails clearly on a request that was never recorded', async () => {
+  const inputs = await goldenInputs('sleep-supplement');
+
+  await assert.rejects(
+    runPipeline(PIPELINE, { ...inputs, brief: `${inputs.brief} Launching in March.` }),
+    /No recorded fixture for this request/
+  );
+});
+
+test('revises an edited compliance report: findings kept, rule checks redone', async () => {
+  const { context } = await runGolden('sleep-supplement');
+  context.brandRules = { bannedWords: ['melatonin'] };
+  const compliance = PIPELINE.find(step => step.id === 'compliance');
+  const report = compliance.refine({ variations: [], strategy: [] }, context);
+  assert.ok(report.variations.some(entry => entry.painPointId === 2 && entry.variant === 'social' && !entry.passed));
+
+  // The reviewer clears every violation and adds a finding of their own
+  const edited = {
+    ...report,
+    variations: report.variations.map(entry => entry.painPointId === 3 && entry.variant === 'video'
+      ? { ...entry, violations: [{ rule: 'review', detail: 'Reads as a testimonial.' }], passed: false }
+      : { ...entry, violations: [], passed: true }),
+    passed: true
+  };
+  const { result, usage } = await reviseStep(PIPELINE, 'compliance', context, edited);
+
+  const failing = result.variations.filter(entry => !entry.passed).map(({ painPointId, variant, violations }) => [painPointId, variant, violations.map(v => v.rule)]);
+  assert.deepEqual(failing, [[1, 'search', ['banned-word']], [2, 'social', ['banned-word']], [2, 'search', ['banned-word']], [3, 'video', ['review']]]);
+  assert.equal(result.passed, false);
+  assert.equal(usage.calls, 0);
+});
+
+test('refuses an edit that is not the shape of the step', async () => {
+  const { context } = await runGolden('sleep-supplement');
+
+  assert.throws(() => reviseStep(PIPELINE, 'strategy', context, { positioning: 'Calm.' }), /must have required property 'channelPriority'/);
+  assert.throws(() => reviseStep(PIPELINE, 'copy', context, null), /^Error: output must be object$/);
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePrompts, renderPrompt } from '../lib/prompts.js';
+
+test('renders only the templates the run resolved', () => {
+  const prompts = resolvePrompts();
+
+  assert.match(renderPrompt(prompts, 'analysis', { brief: 'A bakery.', brandGuidelines: '', maxPersonas: 3, painPointRange: '3–5' }), /A bakery\./);
+  assert.throws(() => renderPrompt({ system: prompts.system }, 'analysis'), /^Error: There's no prompt template "analysis" — expected one of system\.$/);
+  assert.throws(() => renderPrompt(prompts, 'toString'), /^Error: There's no prompt template "toString"/);
+});
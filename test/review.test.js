@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIPELINE } from '../steps/index.js';
+import { reviewFormat } from '../lib/review.js';
+import { useGoldenFixtures, runGolden } from './support/golden.js';
+
+const stepById = id => PIPELINE.find(step => step.id === id);
+const painPoints = reviewFormat(stepById('painPoints'));
+const strategy = reviewFormat(stepById('strategy'));
+
+before(useGoldenFixtures);
+
+test('reads back the pain points it shows, persona headings included', async () => {
+  const { context } = await runGolden('payroll-saas', { reviewGates: new Set(['painPoints']) });
+  const text = painPoints.toText(context.painPoints, context);
+
+  assert.match(text, /^## Persona 1: Restaurant Group Owner\n1\. /);
+  assert.match(text, /\n\n## Persona 2: General Manager\n4\. /);
+  assert.deepEqual(painPoints.fromText(text, context), context.painPoints);
+});
+
+test('reads pain points without persona headings', () => {
+  assert.deepEqual(painPoints.fromText('1. too slow\n2) too pricey\n\n'), {
+    painPoints: [{ id: 1, statement: 'too slow' }, { id: 2, statement: 'too pricey' }]
+  });
+});
+
+test('numbers new pain point lines after the highest numbered one', () => {
+  const text = '## Persona 1: Owner\n4. tips never add up\nwhere did my Monday go\n## Persona 2: GM\n2. overtime by hand\nstaff keep quitting';
+
+  assert.deepEqual(painPoints.fromText(text).painPoints, [
+    { id: 4, personaId: 1, statement: 'tips never add up' },
+    { id: 5, personaId: 1, statement: 'where did my Monday go' },
+    { id: 2, personaId: 2, statement: 'overtime by hand' },
+    { id: 6, personaId: 2, statement: 'staff keep quitting' }
+  ]);
+});
+
+test('refuses pain points numbered more than once', () => {
+  assert.throws(
+    () => painPoints.fromText('1. one\n1. again\n2. two'),
+    /^Error: Pain point 1 is numbered more than once/
+  );
+  assert.throws(
+    () => painPoints.fromText('1. one\n2. two\n2. again\n1. again'),
+    /^Error: Pain points 1, 2 are numbered more than once/
+  );
+});
+
+test('edits a step without a review format as its JSON', async () => {
+  const { context } = await runGolden('sleep-supplement');
+
+  assert.deepEqual(strategy.fromText(strategy.toText(context.strategy, context), context), context.strategy);
+  assert.throws(() => strategy.fromText('{ "positioning": '), /^Error: That isn't valid JSON: /);
+});
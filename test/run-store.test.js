@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-store-'));
+process.env.RUNS_DIR = path.join(dir, 'runs');
+process.env.PROFILES_DIR = path.join(dir, 'profiles');
+
+let store;
+let profiles;
+before(async () => {
+  store = await import('../lib/run-store.js');
+  profiles = await import('../lib/profile-store.js');
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const newRun = clientName => store.createRun({ clientName, brief: 'A brief.', channels: ['search'], locales: [], prompts: {} });
+
+test('numbers each client\'s runs from its own index', () => {
+  assert.deepEqual([newRun('Acme'), newRun('Acme'), newRun('Globex')].map(run => run.version), [1, 2, 1]);
+
+  // Another process has claimed version 3 in the meantime
+  fs.writeFileSync(path.join(process.env.RUNS_DIR, 'clients', 'acme', '3.json'), JSON.stringify({ id: 'elsewhere', cost: 0 }));
+  assert.equal(newRun('Acme').version, 4);
+  assert.deepEqual(fs.readdirSync(path.join(process.env.RUNS_DIR, 'clients', 'acme')).sort(), ['1.json', '2.json', '3.json', '4.json']);
+});
+
+test('charges the client budget with what every run for the client has spent', () => {
+  profiles.saveBudget('Initech', 1);
+  const first = newRun('Initech');
+  first.usage = { ...first.usage, cost: 0.25 };
+  store.saveRun(first);
+  const other = newRun('Other Co');
+  other.usage = { ...other.usage, cost: 5 };
+  store.saveRun(other);
+
+  const second = newRun('Initech');
+  second.usage = { ...second.usage, cost: 0.5 };
+  store.saveRun(second);
+
+  assert.equal(store.budgetFor(store.getRun(second.id)).remaining, 0.25);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectionProblem } from '../lib/selections.js';
+
+const copy = { variations: [{ painPointId: 1, search: [{ headline: 'Fresh daily', description: 'Baked at dawn.' }] }] };
+
+test('turns away a selection for a channel that is only an inherited property', () => {
+  assert.equal(selectionProblem(copy, { painPointId: 1, variant: 'search', index: 0, starred: true }), null);
+  assert.equal(
+    selectionProblem(copy, { painPointId: 1, variant: 'constructor', index: 0, starred: true }),
+    'painPointId, variant and index must say which version of the copy this is.'
+  );
+});
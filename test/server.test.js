@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { setProvider } from '../lib/providers/index.js';
+import { useGoldenFixtures, goldenInputs } from './support/golden.js';
+import { createScriptedProvider } from './support/scripted-provider.js';
+import { startServer, postEvents } from './support/server.js';
+
+let server;
+
+before(async () => {
+  useGoldenFixtures();
+  server = await startServer();
+});
+after(() => server.close());
+
+const eventOf = (events, name) => events.find(e => e.event === name);
+
+// Edits change what later steps are asked, so the scripted provider answers
+async function pausedAtCopy(t) {
+  setProvider(createScriptedProvider());
+  t.after(useGoldenFixtures);
+
+  const { brief } = await goldenInputs('sleep-supplement');
+  const events = await postEvents(`${server.url}/api/run`, { clientName: 'Sleep Supplement', brief, reviewGates: ['copy'], cache: false });
+  return eventOf(events, 'pipeline:paused').data;
+}
+
+test('streams a run from the fixtures, pausing at the default gate and finishing on resume', async () => {
+  const { brief } = await goldenInputs('sleep-supplement');
+  const events = await postEvents(`${server.url}/api/run`, { clientName: 'Sleep Supplement', brief, cache: false });
+  const { runId } = eventOf(events, 'run:created').data;
+
+  assert.deepEqual(events.filter(e => e.event !== 'step:delta').map(e => `${e.event}${e.data.id ? ` ${e.data.id}` : ''}`), [
+    'run:created', 'step:start analysis', 'step:done analysis', 'step:start painPoints', 'step:done painPoints', 'pipeline:paused'
+  ]);
+  assert.ok(events.some(e => e.event === 'step:delta' && e.data.id === 'analysis'));
+  const paused = eventOf(events, 'pipeline:paused').data;
+  assert.equal(paused.runId, runId);
+  assert.equal(paused.review, 'painPoints');
+  assert.match(paused.editable, /^1\. /);
+
+  const resumed = await postEvents(`${server.url}/api/resume`, { runId, reviewer: 'Sam' });
+  assert.deepEqual(resumed.filter(e => e.event !== 'step:delta').map(e => `${e.event}${e.data.id ? ` ${e.data.id}` : ''}`), [
+    'review:recorded', 'step:start copy', 'step:done copy', 'step:start strategy', 'step:done strategy', 'pipeline:done'
+  ]);
+  assert.equal(eventOf(resumed, 'review:recorded').data.review.changed, false);
+
+  const done = eventOf(resumed, 'pipeline:done').data;
+  assert.match(done.outputPath, /^output\/\d{4}-\d{2}-\d{2}-sleep-supplement-v1\.md$/);
+  assert.match(fs.readFileSync(done.outputPath, 'utf-8'), /Sleep support for busy minds/);
+  assert.deepEqual(done.exports.map(e => e.format), ['google-ads', 'meta', 'video-scripts', 'json']);
+  assert.equal(done.usage.calls, 4);
+});
+
+test('streams the error when a step fails', async () => {
+  const { brief } = await goldenInputs('sleep-supplement');
+  const events = await postEvents(`${server.url}/api/run`, { clientName: 'Sleep Supplement', brief: `${brief} Launching in March.`, cache: false });
+
+  assert.deepEqual(events.map(e => e.event), ['run:created', 'step:start', 'pipeline:error']);
+  assert.match(eventOf(events, 'pipeline:error').data.error, /No recorded fixture for this request/);
+});
+
+test('resumes a copy gate with edited copy, redoing its limit check', async (t) => {
+  const paused = await pausedAtCopy(t);
+  assert.equal(paused.review, 'copy');
+
+  const copy = JSON.parse(paused.editable);
+  assert.ok(Array.isArray(copy.limitReport));
+  copy.variations[0].search[0].headline = 'Quiet Your Mind, Sleep Sooner';
+  copy.variations[1].search[0].headline = 'A headline far too long to fit in an RSA';
+
+  const events = await postEvents(`${server.url}/api/resume`, { runId: paused.runId, edited: JSON.stringify(copy, null, 2), reviewer: 'Sam' });
+  const { output } = eventOf(events, 'review:recorded').data;
+
+  assert.equal(output.variations[0].search[0].headline, 'Quiet Your Mind, Sleep Sooner');
+  assert.equal(output.variations[1].search[0].headline, 'Rewritten to fit');
+  assert.deepEqual(output.limitReport.map(({ painPointId, rewrites, passed }) => [painPointId, rewrites, passed]), [[1, 0, true], [2, 1, true], [3, 0, true], [4, 0, true]]);
+
+  const done = eventOf(events, 'pipeline:done');
+  assert.ok(done, JSON.stringify(eventOf(events, 'pipeline:error')));
+  assert.equal(done.data.usage.calls, 5);
+});
+
+test('turns away copy edited out of shape', async (t) => {
+  const paused = await pausedAtCopy(t);
+  const copy = JSON.parse(paused.editable);
+  delete copy.variations[0].video;
+
+  const answer = await postEvents(`${server.url}/api/resume`, { runId: paused.runId, edited: JSON.stringify(copy), reviewer: 'Sam' });
+  assert.equal(answer.status, 400);
+  assert.match(answer.body.error, /^Invalid Ad Copy Variations output:\noutput\/variations\/0 must have required property 'video'/);
+});
+
+test('turns away an export name that is only an inherited property', async (t) => {
+  const paused = await pausedAtCopy(t);
+
+  const res = await fetch(`${server.url}/api/runs/${paused.runId}/export/toString`);
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: 'Unknown export "toString".' });
+});
+
+test('turns away a variation name that is only an inherited property', async (t) => {
+  const paused = await pausedAtCopy(t);
+
+  const answer = await postEvents(`${server.url}/api/runs/${paused.runId}/regenerate`, { step: 'copy', variant: { painPointId: 1, variant: 'constructor' } });
+  assert.equal(answer.status, 400);
+  assert.deepEqual(answer.body, { error: 'Ad Copy Variations has no "constructor" variation to regenerate.' });
+});
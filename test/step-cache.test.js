@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIPELINE } from '../steps/index.js';
+import { stepCacheKey } from '../lib/step-cache.js';
+import { resolvePrompts } from '../lib/prompts.js';
+
+const stepById = id => PIPELINE.find(step => step.id === id);
+
+// The run's templates with one of them reworded (its version stamp unchanged)
+function reworded(name) {
+  const prompts = resolvePrompts();
+  return { ...prompts, [name]: { ...prompts[name], text: `${prompts[name].text}\nKeep it short.` } };
+}
+
+test('keys a step on the templates it renders and no others', () => {
+  const inputs = { brief: 'A bakery.', prompts: resolvePrompts() };
+  const key = (id, prompts) => stepCacheKey(stepById(id), { ...inputs, prompts });
+
+  assert.equal(key('analysis', inputs.prompts), key('analysis', resolvePrompts()));
+  assert.notEqual(key('analysis', reworded('analysis')), key('analysis', inputs.prompts));
+  assert.notEqual(key('analysis', reworded('system')), key('analysis', inputs.prompts));
+  assert.equal(key('analysis', reworded('strategy')), key('analysis', inputs.prompts));
+
+  assert.notEqual(key('copy', reworded('copy-fit')), key('copy', inputs.prompts));
+  assert.equal(key('copy', reworded('judge')), key('copy', inputs.prompts));
+  assert.equal(key('strategy', reworded('copy-fit')), key('strategy', inputs.prompts));
+});
@@ -0,0 +1,45 @@
+/**
+ * Test helpers — the golden eval briefs, run through the real pipeline from
+ * fixtures, so tests need no network or API key. The fixtures are the
+ * scripted provider's (scripted-provider.js), not a real model's. A changed
+ * prompt or step makes requests they don't have; rerecord them with
+ * `node test/support/record-golden.js`.
+ */
+
+import { fileURLToPath } from 'url';
+import { PIPELINE } from '../../steps/index.js';
+import { runPipeline } from '../../lib/pipeline.js';
+import { resolvePrompts } from '../../lib/prompts.js';
+import { setProvider } from '../../lib/providers/index.js';
+import { createReplayProvider } from '../../lib/providers/fixtures.js';
+import { DEFAULT_CHANNELS } from '../../steps/channels.js';
+import { findBrief, loadBrief } from '../../lib/brief-loader.js';
+
+export const GOLDEN_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/golden', import.meta.url));
+export const GOLDEN_BRIEFS = ['neighborhood-bakery', 'payroll-saas', 'sleep-supplement'];
+
+const BRIEFS_DIR = fileURLToPath(new URL('../../evals/briefs', import.meta.url));
+
+/**
+ * Serve every model call from the golden fixtures.
+ */
+export function useGoldenFixtures() {
+  setProvider(createReplayProvider(GOLDEN_FIXTURES_DIR));
+}
+
+/**
+ * The inputs the eval runs a golden brief (by slug, e.g. "payroll-saas")
+ * with.
+ */
+export async function goldenInputs(slug) {
+  const brief = await loadBrief(findBrief(BRIEFS_DIR, slug));
+  return { brief, channels: DEFAULT_CHANNELS, prompts: resolvePrompts() };
+}
+
+/**
+ * Run a golden brief through the pipeline, as the eval does — returns
+ * runPipeline's { context, pausedAt }.
+ */
+export async function runGolden(slug, options = {}) {
+  return runPipeline(PIPELINE, await goldenInputs(slug), options);
+}
@@ -0,0 +1,21 @@
+/**
+ * Rerecord the synthetic golden fixtures (test/fixtures/golden) from the
+ * scripted provider — after a prompt or step changes the requests:
+ *
+ *   node test/support/record-golden.js
+ */
+
+import fs from 'fs';
+import { setProvider } from '../../lib/providers/index.js';
+import { createRecordingProvider } from '../../lib/providers/fixtures.js';
+import { createScriptedProvider } from './scripted-provider.js';
+import { GOLDEN_FIXTURES_DIR, GOLDEN_BRIEFS, runGolden } from './golden.js';
+
+fs.rmSync(GOLDEN_FIXTURES_DIR, { recursive: true, force: true });
+setProvider(createRecordingProvider(createScriptedProvider(), GOLDEN_FIXTURES_DIR));
+
+for (const slug of GOLDEN_BRIEFS) {
+  await runGolden(slug);
+  console.log(`Recorded ${slug}`);
+}
+console.log(`${fs.readdirSync(GOLDEN_FIXTURES_DIR).length} fixtures in ${GOLDEN_FIXTURES_DIR}`);
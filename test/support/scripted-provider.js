@@ -0,0 +1,176 @@
+/**
+ * Scripted Provider
+ *
+ * A stand-in for the model that answers the golden briefs (evals/briefs)
+ * with hand-written copy, picked out of each prompt and shaped to the
+ * schema it asks for (the default channels only). The fixtures in
+ * test/fixtures/golden are its answers, recorded by
+ * test/support/record-golden.js — synthetic, so they test the plumbing,
+ * not the prompts: nothing here says how good a real model's copy is.
+ * Tests whose edits make requests the fixtures don't have can use it
+ * directly. Its compliance review finds nothing — the profile's rules are
+ * what flag copy in tests.
+ *
+ * Usage is an estimate — four characters to a token.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+const BRIEFS = {
+  bakery: {
+    match: /sourdough bakery/,
+    industry: 'Local food & bakery',
+    differentiators: ['Baked before 6am from a 40-year-old starter', 'Pre-order app to reserve loaves the night before', 'Family-owned, not a chain'],
+    personas: [
+      { name: 'Neighborhood Parents', description: 'Parents of young kids living within walking distance, looking for an easy weekend ritual.', points: [1, 2] },
+      { name: 'Remote Workers', description: 'People working from home who want a reason to get out for a morning walk.', points: [3, 4] },
+      { name: 'Independent Cafe Owners', description: 'Owners of small cafes nearby who need a dependable wholesale bread supplier.', points: [5, 6] }
+    ],
+    points: {
+      1: { text: 'The good bread is sold out by the time they get there with the kids', statement: 'By the time I get both kids out the door the bakery is already sold out. Every single Saturday.', social: 'Sold out by noon? Not for you. Reserve tonight, pick up warm tomorrow.', headline: 'Reserve Your Loaf Tonight', description: 'Pre-order fresh sourdough in the app and pick it up warm — even if you get there at 11.', video: 'A toddler tugs at the bakery door. Sign: SOLD OUT. Cut to: "Not if you pre-ordered."' },
+      2: { text: 'Weekend breakfasts feel rushed and store-bought', statement: 'I want weekend breakfast to feel special but it always ends up being toast from a plastic bag.', social: 'Saturday morning, sorted: a pastry box for the whole family, baked before 6am.', headline: 'Weekend Pastry Boxes', description: 'A box of fresh pastries for the whole family, baked before sunrise just down the street.', video: 'Kids in pajamas crowd around a box. Lid opens. Steam. "This is what Saturday smells like."' },
+      3: { text: 'Working from home makes the days blur together', statement: 'I haven\'t left the apartment in three days and I\'m starting to talk to my laptop.', social: 'Your commute is now a 10-minute walk to warm bread. Best meeting of the day.', headline: 'A Morning Walk Worth Taking', description: 'Start the workday with a walk to fresh sourdough and coffee, two streets from your desk.', video: '"Out of office: getting bread." A laptop closes, a door opens, morning light.' },
+      4: { text: 'Chain coffee shops feel generic and crowded', statement: 'Every coffee place near me is the same chain with the same sad croissant.', social: 'Zero chains. One 40-year-old starter. Come taste the difference.', headline: 'Sourdough, Not a Chain', description: 'A family bakery with a 40-year-old starter. Your new favorite morning stop is nearby.', video: 'Close-up: a jar of bubbling starter labeled 1985. "Older than most coffee chains."' },
+      5: { text: 'Wholesale bread arrives inconsistent or a day old', statement: 'My supplier\'s bread shows up stale half the time and my customers notice.', social: 'Your sandwiches deserve bread baked this morning. Wholesale, delivered early.', headline: 'Wholesale Bread, Baked Daily', description: 'Fresh sourdough for your cafe, baked before 6am and delivered before you open.', video: 'A cafe owner squeezes a loaf — it crackles. "Baked three hours ago. Delivered before open."' },
+      6: { text: 'Big distributors\' minimum orders are too high for a small cafe', statement: 'The big bread distributors want me to order way more than a tiny cafe can sell.', social: 'Small cafe, small order. We\'ll bake exactly what you need.', headline: 'No Big Minimum Orders', description: 'Order the loaves your cafe actually sells, from a local bakery that knows your name.', video: '"Minimum order: 200 loaves." Crumpled. "Or: the twelve you need, from down the street."' }
+    },
+    strategy: {
+      positioning: 'The neighborhood\'s own sourdough bakery — baked before dawn from a 40-year-old starter, and now reservable the night before.',
+      toneGuidance: 'Warm, local and a little proud. Speak like a neighbor, never like a chain. Concrete details — the starter, the 6am bake, the street names — beat adjectives.',
+      braveIdea: 'Name a loaf after the street each new regular lives on, and post the map of "bread streets" in the shop window.',
+      rationale: { Search: 'Local search catches people looking for bread nearby right when they are ready to go.', Social: 'Photos of the morning bake and the starter travel by word of mouth in neighborhood groups.', Video: 'Short clips of the bake work as social video, but cost more to make on a small budget.' },
+      plan: { approach: 'Lead with parents and remote workers on social and local search to build the morning crowd, then pitch cafes directly once the second shop is baking at volume.', allocation: { 'Neighborhood Parents': [40, 'Weeks 1–6', 'Largest local group and the pastry boxes are built for them.'], 'Remote Workers': [35, 'Weeks 1–6', 'Weekday traffic fills the quiet hours after the school run.'], 'Independent Cafe Owners': [25, 'Weeks 4–8', 'Wholesale needs the new ovens running first, and a few accounts go a long way.'] } }
+    }
+  },
+  payroll: {
+    match: /payroll and HR platform for restaurants/,
+    industry: 'Restaurant payroll & HR software',
+    differentiators: ['Automatic tip pooling and overtime across split shifts', 'Five-minute mobile onboarding for new hires', '$6 per employee per month, no setup fee, taxes filed in all 50 states'],
+    personas: [
+      { name: 'Restaurant Group Owner', description: 'Owns two to six independent restaurants and signs off on every software bill.', points: [1, 2, 3] },
+      { name: 'General Manager', description: 'Runs day-to-day operations at one location and does payroll between shifts.', points: [4, 5, 6] }
+    ],
+    points: {
+      1: { text: 'Payroll lives in spreadsheets that break whenever tip rules change', statement: 'Our payroll spreadsheet has 40 tabs and breaks every time we change how tips are split.', social: 'Retire the 40-tab payroll spreadsheet. Tips, overtime and taxes — done for you.', headline: 'Ditch the Payroll Spreadsheet', description: 'Tips, overtime and payroll taxes calculated for you. Built for restaurants. $6/employee.', video: 'An owner scrolls a giant spreadsheet at 1am. Click. One button: "Run payroll." Done.' },
+      2: { text: 'Generic payroll tools don\'t understand tip pooling or split shifts', statement: 'Gusto is fine for an office but it has no idea what a tip pool or a double is.', social: 'Payroll that knows what a tip pool is. Finally.', headline: 'Payroll That Gets Tip Pools', description: 'Tip pooling, split shifts and overtime handled automatically — unlike generic payroll.', video: '"Does your payroll know what a double is?" A server laughs. "Ours does."' },
+      3: { text: 'Setup fees and per-location add-ons add up with every new store', statement: 'Every time we open a location the payroll company finds a new fee to charge us.', social: '$6 per employee. No setup fee. No per-location surprises.', headline: '$6 Per Employee, No Setup Fee', description: 'One simple price across all your restaurants. No setup fees, no per-location add-ons.', video: 'An invoice unrolls to the floor. "Or: six dollars a head. That\'s the whole price."' },
+      4: { text: 'Onboarding a constant stream of new hires eats hours of paperwork', statement: 'I spend half my Monday chasing new hires for W-4s instead of running the floor.', social: 'New hire onboarded from their phone before their first shift. Five minutes.', headline: 'Onboard Hires in 5 Minutes', description: 'New staff fill in their paperwork from their phone. You get your Monday back.', video: 'A new busser taps through onboarding on their phone. Timer: 4:52. "Welcome to the team."' },
+      5: { text: 'Overtime across split shifts is worked out by hand and often wrong', statement: 'I work out overtime for split shifts on a calculator and I\'m never sure it\'s right.', social: 'Split shifts, doubles, overtime — calculated right, every pay period.', headline: 'Overtime Calculated for You', description: 'Split shifts and overtime worked out automatically, so every paycheck is right.', video: 'A GM punches numbers into a calculator, erases, starts again. "Stop. It\'s already done."' },
+      6: { text: 'Staff complain when tip payouts are late or don\'t add up', statement: 'My servers keep asking why their tips look short and I honestly can\'t tell them.', social: 'Tip payouts your staff can check and trust. Fewer awkward conversations.', headline: 'Tip Payouts Staff Trust', description: 'Every tip pooled and paid out accurately, with a breakdown your team can see.', video: 'A server checks her phone after a shift: tips, broken down by hour. She smiles.' }
+    },
+    strategy: {
+      positioning: 'The payroll built for how restaurants actually pay people — tips, split shifts and constant hiring — for $6 an employee.',
+      toneGuidance: 'Plain-spoken and kitchen-literate. Talk about doubles, tip-outs and Monday paperwork, not "workforce solutions". Confident about price without sneering at competitors.',
+      braveIdea: 'Run payroll live during a Friday dinner rush at a partner restaurant and stream the five minutes it takes.',
+      rationale: { Search: 'Owners comparing Gusto and Toast Payroll are searching now; intent is highest here.', Social: 'Restaurant owner groups share tools that fix tip-pool headaches.', Video: 'Short demos show the five-minute onboarding better than any claim.' },
+      plan: { approach: 'Win owners with price and tip handling in search, and reach GMs with onboarding and overtime demos on social ahead of summer hiring.', allocation: { 'Restaurant Group Owner': [60, 'Weeks 1–8', 'Owners sign the contract and compare on price.'], 'General Manager': [40, 'Weeks 3–8', 'GMs feel the hiring pain most as summer approaches.'] } }
+    }
+  },
+  sleep: {
+    match: /sleep supplement company/,
+    industry: 'Health & wellness supplements',
+    differentiators: ['No melatonin', 'No next-morning grogginess', 'Magnesium and L-theanine formula'],
+    personas: [
+      { name: 'Stressed Professional', description: 'Professionals aged 30–50 whose busy minds keep them from falling asleep.', points: [1, 2, 3, 4] }
+    ],
+    points: {
+      1: { text: 'Lies awake with a racing mind after long workdays', statement: 'why can\'t I turn my brain off at night, I\'m exhausted but wide awake', social: 'Exhausted but wired at midnight? Magnesium + L-theanine help your mind wind down.', headline: 'Quiet a Racing Mind at Night', description: 'Magnesium and L-theanine help you unwind and fall asleep. No melatonin.', video: '11:58pm. Eyes open. Thoughts scroll across the ceiling. "Let your mind clock out too."' },
+      2: { text: 'Melatonin leaves them groggy the next morning', statement: 'melatonin knocks me out but I feel hungover until lunch', social: 'Sleep well, wake up clear. No melatonin, no morning fog.', headline: 'No Melatonin, No Grogginess', description: 'Fall asleep naturally and wake up clear-headed. $39/month, cancel anytime.', video: 'Alarm rings. Instead of a groan, a stretch. "Sleep that doesn\'t follow you to work."' },
+      3: { text: 'Worried about becoming dependent on sleep aids', statement: 'I don\'t want to need a pill every night just to fall asleep', social: 'Gentle support from magnesium and L-theanine — nothing that knocks you out.', headline: 'Gentle, Non-Habit Support', description: 'Magnesium and L-theanine support your natural wind-down instead of sedating you.', video: '"I didn\'t want something that knocks me out," she says, turning off the lamp.' },
+      4: { text: 'Pays for supplements that don\'t seem to work', statement: 'I\'ve wasted so much money on sleep stuff that does nothing', social: 'Two ingredients with a clear job, one honest price. $39/month, cancel anytime.', headline: 'Two Ingredients, Clear Job', description: 'Magnesium and L-theanine, nothing hidden. $39/month subscription, cancel anytime.', video: 'A drawer full of half-used sleep bottles slides shut. "Try the one that keeps it simple."' }
+    },
+    strategy: {
+      positioning: 'Sleep support for busy minds that works without melatonin — so the morning after feels like a morning.',
+      toneGuidance: 'Calm, candid and adult. Empathize with the 2am spiral without catastrophizing, and never promise a cure.',
+      braveIdea: 'A "no grogginess guarantee": if the first morning feels foggy, the first month is free.',
+      rationale: { Search: 'People search for sleep help at night, with clear intent and a specific complaint.', Social: 'Late-night scrolling is exactly when the audience is awake and receptive.', Video: 'Relatable 2am moments land well in short video but are harder to target.' }
+    }
+  }
+};
+
+export function createScriptedProvider() {
+  return {
+    name: 'scripted',
+
+    async complete(request, { onDelta, signal } = {}) {
+      if (signal) signal.throwIfAborted();
+      const text = answer(request);
+      if (onDelta) onDelta(text);
+
+      const promptChars = (request.system || '').length + request.messages.reduce((sum, m) => sum + String(m.content).length, 0);
+      return {
+        text,
+        model: request.model,
+        usage: { input_tokens: Math.ceil(promptChars / CHARS_PER_TOKEN), output_tokens: Math.ceil(text.length / CHARS_PER_TOKEN) }
+      };
+    }
+  };
+}
+
+function answer({ messages }) {
+  const prompt = String(messages[0].content);
+  const schema = schemaOf(String(messages[messages.length - 1].content));
+
+  if (/over the platform's character limits/.test(prompt)) {
+    const [variant, itemSchema] = Object.entries(schema.properties)[0];
+    return JSON.stringify({ [variant]: itemSchema.type === 'string' ? 'Rewritten to fit.' : { headline: 'Rewritten to fit', description: 'Rewritten to fit its limit.' } });
+  }
+
+  if (/brand compliance pass/.test(prompt)) {
+    return JSON.stringify({ variations: [], strategy: [] });
+  }
+
+  const brief = Object.values(BRIEFS).find(b => b.match.test(prompt));
+  if (!brief) throw new Error(`The scripted provider only knows the golden briefs: ${prompt.slice(0, 120)}`);
+
+  if (/^Analyze the following/.test(prompt)) {
+    return JSON.stringify({
+      industry: brief.industry,
+      personas: brief.personas.map(({ name, description, points }) => ({ name, description, painPoints: points.map(id => brief.points[id].text) })),
+      differentiators: brief.differentiators
+    });
+  }
+  if (/this persona's pain points and rewrite/.test(prompt)) {
+    const ids = schema.properties.painPoints.items.properties.id.enum;
+    return JSON.stringify({ painPoints: ids.map(id => ({ id, statement: brief.points[id].statement })) });
+  }
+  if (/generate ad copy variations/.test(prompt)) {
+    const properties = schema.properties.variations.items.properties;
+    return JSON.stringify({
+      variations: properties.painPointId.enum.map(id => ({
+        painPointId: id,
+        ...Object.fromEntries(Object.keys(properties)
+          .filter(key => key !== 'painPointId')
+          .map(channel => [channel, [item(brief.points[id], channel)]]))
+      }))
+    });
+  }
+  if (/one-page campaign strategy/.test(prompt)) {
+    const { positioning, toneGuidance, braveIdea, rationale, plan } = brief.strategy;
+    const channels = schema.properties.channelPriority.items.properties.channel.enum;
+    return JSON.stringify({
+      positioning,
+      channelPriority: Object.keys(rationale).filter(channel => channels.includes(channel)).map(channel => ({ channel, rationale: rationale[channel] })),
+      toneGuidance,
+      braveIdea,
+      ...(schema.properties.personaPlan ? {
+        personaPlan: {
+          approach: plan.approach,
+          allocation: Object.entries(plan.allocation).map(([persona, [budgetShare, timing, why]]) => ({ persona, budgetShare, timing, rationale: why }))
+        }
+      } : {})
+    });
+  }
+  throw new Error(`The scripted provider has no answer for: ${prompt.slice(0, 120)}`);
+}
+
+// The schema claude-client.js appends to the last message
+function schemaOf(text) {
+  const marker = 'no code fences.\n\n';
+  return JSON.parse(text.slice(text.lastIndexOf(marker) + marker.length));
+}
+
+function item(point, channel) {
+  if (channel === 'search') return { headline: point.headline, description: point.description };
+  return channel === 'video' ? point.video : point.social;
+}
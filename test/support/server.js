@@ -0,0 +1,48 @@
+/**
+ * Test helpers — the web server on a free port, with runs, profiles, the
+ * step cache and saved output kept in a temporary folder, and its SSE
+ * endpoints read back as a list of events.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Start the server (server.js is imported, so one per test file) and
+ * resolve to { url, close }.
+ */
+export async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  process.chdir(dir);
+  const { app } = await import('../../server.js');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close: () => {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * POST a JSON body to an SSE endpoint and resolve to its events once the
+ * stream ends — [{ event, data }]. A plain JSON answer (an error) resolves
+ * to { status, body } instead.
+ */
+export async function postEvents(url, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  if (!res.headers.get('content-type').startsWith('text/event-stream')) {
+    return { status: res.status, body: await res.json() };
+  }
+
+  const text = await res.text();
+  return text.split('\n\n').filter(block => block.startsWith('event: ')).map((block) => {
+    const [event, data] = block.split('\n');
+    return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+  });
+}